@@ -1,4 +1,4 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useEffect, useMemo } from "react";
 
 /**
  * Land Subdivision App — with Select/Edit/Delete & Edge-Extend
@@ -23,8 +23,8 @@ function shoelaceArea(points) {
   }
   return Math.abs(s) / 2;
 }
-function download(filename, text) {
-  const blob = new Blob([text], { type: "application/json" });
+function download(filename, text, type = "application/json") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -657,28 +657,6 @@ function edgesFromPolygon(poly, closed = true) {
   if (closed && poly.length >= 3) segs.push([poly[poly.length - 1], poly[0]]);
   return segs;
 }
-function pathSegsBetweenIndices(boundary, iFrom, iTo) {
-  const segs = [];
-  let i = iFrom;
-  while (i !== iTo) {
-    const j = (i + 1) % boundary.length;
-    segs.push([boundary[i], boundary[j]]);
-    i = j;
-  }
-  return segs;
-}
-function nearestBoundaryIndex(pt, boundary) {
-  let bestI = -1,
-    bestD = Infinity;
-  for (let i = 0; i < boundary.length; i++) {
-    const d = distance(pt, boundary[i]);
-    if (d < bestD) {
-      bestD = d;
-      bestI = i;
-    }
-  }
-  return bestI;
-}
 function segmentDistance(a, b, c, d) {
   const d1 = pointSegProjection(a, c, d).d2;
   const d2 = pointSegProjection(b, c, d).d2;
@@ -687,121 +665,172 @@ function segmentDistance(a, b, c, d) {
   return Math.sqrt(Math.min(d1, d2, d3, d4));
 }
 
-/** Front road for lot: internal > public-by-boundary between first two EPs of each public road */
-function computeFrontRoadForLot(lotPoly, ctx, tolUnits = 0) {
-  const { boundary, boundaryClosed, publicRoads, internalRoads } = ctx || {};
-  if (!lotPoly || lotPoly.length < 3) return null;
-  const lotEdges = edgesFromPolygon(lotPoly, true);
-
-  if (Array.isArray(internalRoads)) {
-    for (const r of internalRoads) {
-      const roadEdges = edgesFromPolygon(r.polygon, true);
-      let touch = false;
-      for (const [a, b] of lotEdges) {
-        for (const [c, d] of roadEdges) {
-          if (segmentsIntersectOrTouch(a, b, c, d)) {
-            touch = true;
-            break;
-          }
-          if (tolUnits > 0 && segmentDistance(a, b, c, d) <= tolUnits) {
-            touch = true;
-            break;
-          }
-        }
-        if (touch) break;
-      }
-      if (touch) return r.road_id;
+// Chiếu điểm p lên vòng ring (polygon kín): cạnh i, tham số t, điểm chiếu, vị trí s theo chu vi
+function projectOnRing(ring, p) {
+  let best = null,
+    s = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i],
+      b = ring[(i + 1) % ring.length];
+    const { t, proj, d2 } = pointSegProjection(p, a, b);
+    const len = distance(a, b);
+    if (!best || d2 < best.d2) best = { i, t, pt: proj, d2, s: s + t * len };
+    s += len;
+  }
+  return best && { ...best, perimeter: s };
+}
+
+// Đường đi ngắn hơn trên ring giữa 2 điểm (chiếu p, q lên ring), gồm cả các đỉnh ở giữa
+function ringPathBetween(ring, p, q) {
+  const n = ring.length;
+  const a = projectOnRing(ring, p);
+  const b = projectOnRing(ring, q);
+  const per = a.perimeter;
+  const fwd = (((b.s - a.s) % per) + per) % per;
+  const pts = [a.pt];
+  if (fwd <= per - fwd) {
+    let i = a.i;
+    if (!(i === b.i && b.t >= a.t)) {
+      do {
+        i = (i + 1) % n;
+        pts.push(ring[i]);
+      } while (i !== b.i);
+    }
+  } else if (!(a.i === b.i && b.t <= a.t)) {
+    let i = a.i;
+    pts.push(ring[i]);
+    while (i !== (b.i + 1) % n) {
+      i = (i - 1 + n) % n;
+      pts.push(ring[i]);
     }
   }
+  pts.push(b.pt);
+  const out = [];
+  for (const pt of pts)
+    if (!out.length || !ptsEqual(out[out.length - 1], pt, 1e-6)) out.push(pt);
+  return out;
+}
 
-  if (
-    boundaryClosed &&
-    Array.isArray(boundary) &&
-    boundary.length >= 3 &&
-    Array.isArray(publicRoads)
-  ) {
-    for (const pr of publicRoads) {
-      if (!pr?.entry_points || pr.entry_points.length < 2) continue;
-      const iA = nearestBoundaryIndex(pr.entry_points[0], boundary);
-      const iB = nearestBoundaryIndex(pr.entry_points[1], boundary);
-      if (iA === -1 || iB === -1 || iA === iB) continue;
-      const segsAB = pathSegsBetweenIndices(boundary, iA, iB);
-      const segsBA = pathSegsBetweenIndices(boundary, iB, iA);
-      const len = (ss) =>
-        ss.reduce(
-          (s, [[x1, y1], [x2, y2]]) => s + Math.hypot(x2 - x1, y2 - y1),
-          0
-        );
-      const pubSegs = len(segsAB) <= len(segsBA) ? segsAB : segsBA;
+/** Tuyến public road trên ranh: nối các EP theo thứ tự, mỗi đoạn đi theo boundary (đường ngắn hơn) */
+function publicRoadPath(pr, boundary) {
+  const eps = pr?.entry_points || [];
+  if (eps.length < 2) return [];
+  if (!Array.isArray(boundary) || boundary.length < 3) return eps;
+  const path = [];
+  for (let k = 0; k + 1 < eps.length; k++) {
+    const seg = ringPathBetween(boundary, eps[k], eps[k + 1]);
+    path.push(...(path.length ? seg.slice(1) : seg));
+  }
+  return path;
+}
 
-      for (const [a, b] of lotEdges) {
-        for (const [c, d] of pubSegs) {
-          if (segmentsIntersectOrTouch(a, b, c, d)) return pr.road_id;
-          if (tolUnits > 0 && segmentDistance(a, b, c, d) <= tolUnits)
-            return pr.road_id;
-        }
-      }
+/** Đoạn ranh tiếp giáp public road (các cạnh của publicRoadPath) */
+function publicFrontSegs(pr, boundary) {
+  if (!Array.isArray(boundary) || boundary.length < 3) return [];
+  return edgesFromPolygon(publicRoadPath(pr, boundary), false);
+}
+
+/**
+ * Hành lang (right-of-way) của public road: dải rộng `width` nằm ngoài ranh,
+ * một mép là publicRoadPath, mép kia là offset ra phía ngoài boundary.
+ * Chưa có boundary kín → buffer đối xứng quanh polyline EP.
+ */
+function publicRoadCorridor(pr, boundary, boundaryClosed) {
+  const w = Number(pr?.width);
+  if (!(w > 0) || (pr?.entry_points || []).length < 2) return [];
+  if (!boundaryClosed || !Array.isArray(boundary) || boundary.length < 3)
+    return bufferCenterline(pr.entry_points, w);
+  const path = publicRoadPath(pr, boundary);
+  if (path.length < 2) return [];
+  // phía ngoài: thử 1 điểm lệch trái nhỏ ở giữa cạnh đầu
+  const { n } = normDirFromEdge(path[0], path[1]);
+  const m = [(path[0][0] + path[1][0]) / 2, (path[0][1] + path[1][1]) / 2];
+  const probe = [m[0] + n[0] * CLIP_TOL, m[1] + n[1] * CLIP_TOL];
+  const side = pointInPolygon(probe, boundary) ? -1 : 1;
+  const outer = offsetPolylineSide(path, w, side, "miter");
+  return roundPoly([...path, ...outer.reverse()]);
+}
+
+// Các đoạn của segsA chồng khít lên segsB (cùng phương, cách ≤ tol), đo dọc theo segsA
+function sharedEdgeParts(segsA, segsB, tol = CLIP_TOL) {
+  const parts = [];
+  for (const [a, b] of segsA) {
+    const len = distance(a, b);
+    if (len <= EPS) continue;
+    const u = [(b[0] - a[0]) / len, (b[1] - a[1]) / len];
+    for (const [c, d] of segsB) {
+      const off = (q) => Math.abs(u[0] * (q[1] - a[1]) - u[1] * (q[0] - a[0]));
+      if (off(c) > tol || off(d) > tol) continue;
+      const tc = _dot(u, [c[0] - a[0], c[1] - a[1]]);
+      const td = _dot(u, [d[0] - a[0], d[1] - a[1]]);
+      const t0 = Math.max(Math.min(tc, td), 0),
+        t1 = Math.min(Math.max(tc, td), len);
+      if (t1 > t0)
+        parts.push([
+          [a[0] + u[0] * t0, a[1] + u[1] * t0],
+          [a[0] + u[0] * t1, a[1] + u[1] * t1],
+        ]);
     }
   }
-  return null;
+  return parts;
 }
 
-// ---------- Oriented Bounding Box width for "road" ----------
-function meanXY(pts) {
-  const n = pts.length || 1;
-  let sx = 0,
-    sy = 0;
-  for (const [x, y] of pts) {
-    sx += x;
-    sy += y;
-  }
-  return [sx / n, sy / n];
-}
-function covarianceAngle(pts) {
-  if (!pts || pts.length < 2) return 0;
-  const [mx, my] = meanXY(pts);
-  let sxx = 0,
-    syy = 0,
-    sxy = 0;
-  for (const [x, y] of pts) {
-    const dx = x - mx,
-      dy = y - my;
-    sxx += dx * dx;
-    syy += dy * dy;
-    sxy += dx * dy;
-  }
-  // principal axis angle (radians)
-  const theta = 0.5 * Math.atan2(2 * sxy, sxx - syy || 1e-12);
-  return theta;
-}
-function rotatePointAround(p, cx, cy, theta) {
-  const cos = Math.cos(theta),
-    sin = Math.sin(theta);
-  const dx = p[0] - cx,
-    dy = p[1] - cy;
-  return [cx + dx * cos - dy * sin, cy + dx * sin + dy * cos];
-}
-function orientedDims(poly) {
-  // dùng PCA để xoay theo trục chính, lấy bbox trục song song
-  if (!poly || poly.length < 2) return { length: 0, width: 0, angle: 0 };
-  const theta = covarianceAngle(poly);
-  const [cx, cy] = polygonCentroid(
-    poly.length >= 3 ? poly : [poly[0], poly[poly.length - 1], poly[0]]
+// Tổng chiều dài 2 tập cạnh chồng khít lên nhau (cùng phương, cách ≤ tol)
+function sharedEdgeLength(segsA, segsB, tol = CLIP_TOL) {
+  return sharedEdgeParts(segsA, segsB, tol).reduce(
+    (s, [p, q]) => s + distance(p, q),
+    0
   );
-  let minX = Infinity,
-    maxX = -Infinity,
-    minY = Infinity,
-    maxY = -Infinity;
-  for (const p of poly) {
-    const [rx, ry] = rotatePointAround(p, cx, cy, -theta);
-    if (rx < minX) minX = rx;
-    if (rx > maxX) maxX = rx;
-    if (ry < minY) minY = ry;
-    if (ry > maxY) maxY = ry;
-  }
-  return { length: maxX - minX, width: maxY - minY, angle: theta };
 }
 
+const FRONTAGE_RULES = {
+  internal_first: "Internal road first",
+  longest: "Longest frontage",
+};
+
+/**
+ * Mọi road giáp lô (internal + public) cùng chiều dài mặt tiền chung, giảm dần theo chiều dài.
+ * Chỉ tính cạnh chồng lên road (chạm 1 điểm ở góc không phải mặt tiền).
+ * Trả về [{ road_id, is_public, length, parts: [[p, q], ...] }]; rỗng = lô không tiếp cận đường.
+ */
+function lotFrontages(lotPoly, ctx, tolUnits = 0) {
+  const ring = stripClosingDuplicate(lotPoly || []);
+  if (ring.length < 3) return [];
+  const lotEdges = edgesFromPolygon(ring, true);
+  const tol = Math.max(tolUnits, CLIP_TOL);
+  const roads = [
+    ...(ctx?.internalRoads || []).map((r) => [r.road_id, false]),
+    ...(ctx?.publicRoads || []).map((r) => [r.road_id, true]),
+  ];
+  return roads
+    .map(([road_id, is_public]) => {
+      const parts = sharedEdgeParts(lotEdges, roadFrontSegs(road_id, ctx), tol);
+      const length = parts.reduce((s, [p, q]) => s + distance(p, q), 0);
+      return { road_id, is_public, length, parts };
+    })
+    .filter((f) => f.length > CLIP_TOL)
+    .sort((a, b) => b.length - a.length);
+}
+
+// Mặt tiền chính theo rule: "longest" hoặc "internal_first" (internal dài nhất, không có mới xét public)
+function primaryFrontage(frontages, rule = "internal_first") {
+  if (!frontages.length) return null;
+  if (rule === "internal_first")
+    return frontages.find((f) => !f.is_public) || frontages[0];
+  return frontages[0];
+}
+
+/** Front road for lot: road id của mặt tiền chính theo ctx.frontageRule (mặc định internal_first) */
+function computeFrontRoadForLot(lotPoly, ctx, tolUnits = 0) {
+  if (!lotPoly || lotPoly.length < 3) return null;
+  const f = primaryFrontage(
+    lotFrontages(lotPoly, ctx, tolUnits),
+    ctx?.frontageRule
+  );
+  return f ? f.road_id : null;
+}
+
+// ---------- Oriented Bounding Box width for "road" ----------
 function estimateRoadWidth(poly) {
   // Bước 1: đúng yêu cầu — xác định 2 đường đỡ song song của polygon trước
   const info = dominantParallelWallsInfo(poly, 10); // ±10° gom cạnh song song
@@ -817,20 +846,3405 @@ function estimateRoadWidth(poly) {
   const L = inf2.maxD - inf2.minD;
   if (!isFinite(L) || L <= 0) return 0;
 
-  const TRIM_FRAC = 0.25;
-  const SAMPLES = 61;
-  const a = inf2.minD + TRIM_FRAC * L;
-  const b = inf2.maxD - TRIM_FRAC * L;
-  if (b <= a) return 0;
+  const TRIM_FRAC = 0.25;
+  const SAMPLES = 61;
+  const a = inf2.minD + TRIM_FRAC * L;
+  const b = inf2.maxD - TRIM_FRAC * L;
+  if (b <= a) return 0;
+
+  let wMin = Infinity;
+  for (let i = 0; i < SAMPLES; i++) {
+    const t = a + ((i + 0.5) * (b - a)) / SAMPLES;
+    const w = crossSectionWidthAt(poly, d, n, t);
+    if (isFinite(w) && w > 0 && w < wMin) wMin = w;
+  }
+  if (!isFinite(wMin)) wMin = 0;
+  return Number(wMin.toFixed(2));
+}
+
+// ---------- Lot generator (chia block theo mặt tiền) ----------
+// Cắt polygon bằng nửa mặt phẳng d·x >= t (keepAbove) hoặc d·x <= t (Sutherland–Hodgman)
+function clipPolygonHalfPlane(poly, d, t, keepAbove) {
+  const out = [];
+  const n = poly.length;
+  if (n < 3) return out;
+  const side = (p) => (keepAbove ? _dot(p, d) - t : t - _dot(p, d));
+  for (let i = 0; i < n; i++) {
+    const a = poly[i],
+      b = poly[(i + 1) % n];
+    const sa = side(a),
+      sb = side(b);
+    if (sa >= 0) out.push(a);
+    if (sa >= 0 !== sb >= 0) {
+      const k = sa / (sa - sb);
+      out.push([a[0] + k * (b[0] - a[0]), a[1] + k * (b[1] - a[1])]);
+    }
+  }
+  return out;
+}
+// Dải t0 <= d·x <= t1 của polygon
+function slicePolygonSlab(poly, d, t0, t1) {
+  return clipPolygonHalfPlane(
+    clipPolygonHalfPlane(poly, d, t0, true),
+    d,
+    t1,
+    false
+  );
+}
+function roundPoly(poly) {
+  const out = [];
+  for (const [x, y] of poly) {
+    const p = [Number(x.toFixed(2)), Number(y.toFixed(2))];
+    if (!out.length || !ptsEqual(out[out.length - 1], p, 1e-6)) out.push(p);
+  }
+  return stripClosingDuplicate(out);
+}
+
+/** Các đoạn của 1 road (internal: cạnh polygon, public: đoạn ranh giữa 2 EP) */
+function roadFrontSegs(roadId, ctx) {
+  const { boundary, boundaryClosed, publicRoads, internalRoads } = ctx || {};
+  const ir = (internalRoads || []).find((r) => r.road_id === roadId);
+  if (ir) return edgesFromPolygon(ir.polygon, true);
+  const pr = (publicRoads || []).find((r) => r.road_id === roadId);
+  if (pr && boundaryClosed) return publicFrontSegs(pr, boundary);
+  return [];
+}
+
+/**
+ * Cạnh mặt tiền mặc định của block: cạnh DÀI NHẤT chạm road mà
+ * computeFrontRoadForLot gán cho block. Trả về { edgeIndex, roadId } hoặc null.
+ */
+function frontageEdgeForBlock(poly, ctx, tolUnits = 0) {
+  const roadId = computeFrontRoadForLot(poly, ctx, tolUnits);
+  if (!roadId) return null;
+  const segs = roadFrontSegs(roadId, ctx);
+  let best = null;
+  edgesFromPolygon(poly, true).forEach(([a, b], i) => {
+    const touch = segs.some(([c, d]) => {
+      // cạnh mặt tiền phải nằm dọc theo road: cả 2 đầu gần đoạn road
+      const tol = Math.max(tolUnits, 1e-6);
+      return (
+        Math.sqrt(pointSegProjection(a, c, d).d2) <= tol &&
+        Math.sqrt(pointSegProjection(b, c, d).d2) <= tol
+      );
+    });
+    const len = distance(a, b);
+    if (touch && (!best || len > best.len)) best = { edgeIndex: i, len };
+  });
+  return best ? { edgeIndex: best.edgeIndex, roadId } : null;
+}
+
+/**
+ * Chia block thành các lô bằng các nhát cắt vuông góc với cạnh mặt tiền.
+ * opts: { width?, area?, remainder: "merge"|"flag" }
+ * - width: bề rộng mặt tiền mục tiêu (đo dọc cạnh mặt tiền)
+ * - area: diện tích mục tiêu; nếu có cả 2 thì mỗi lô phải đạt CẢ HAI (lấy nhát cắt xa hơn)
+ * - remainder: phần dư không đủ chỉ tiêu → gộp vào lô cuối ("merge") hoặc tách riêng & đánh dấu ("flag")
+ * Trả về [{ polygon, remainder: boolean }]
+ */
+function generateLotsAlongFrontage(block, edgeIndex, opts = {}) {
+  const poly = stripClosingDuplicate(block || []);
+  const n = poly.length;
+  if (n < 3 || edgeIndex < 0 || edgeIndex >= n) return [];
+  const width = Number(opts.width) > 0 ? Number(opts.width) : 0;
+  const area = Number(opts.area) > 0 ? Number(opts.area) : 0;
+  if (!width && !area) return [];
+  const a = poly[edgeIndex],
+    b = poly[(edgeIndex + 1) % n];
+  const { d } = normDirFromEdge(a, b);
+  if (distance(a, b) <= EPS) return [];
+
+  let minD = Infinity,
+    maxD = -Infinity;
+  for (const p of poly) {
+    const pd = _dot(p, d);
+    if (pd < minD) minD = pd;
+    if (pd > maxD) maxD = pd;
+  }
+  const tA = _dot(a, d); // đầu cạnh mặt tiền (d hướng từ a → b)
+  const tB = _dot(b, d);
+  const slabArea = (t0, t1) => shoelaceArea(slicePolygonSlab(poly, d, t0, t1));
+
+  // nhát cắt đầu tiên đo từ đầu cạnh mặt tiền, phần block nhô ra ngoài thuộc về lô đầu/cuối
+  const cuts = [];
+  let prevT = minD;
+  let prevFront = tA;
+  for (let guard = 0; guard < 10000; guard++) {
+    let t = -Infinity;
+    if (width) t = prevFront + width;
+    if (area) {
+      if (slabArea(prevT, maxD) < area - 1e-6) {
+        t = Infinity;
+      } else {
+        let lo = prevT,
+          hi = maxD;
+        for (let k = 0; k < 60; k++) {
+          const mid = (lo + hi) / 2;
+          if (slabArea(prevT, mid) < area) lo = mid;
+          else hi = mid;
+        }
+        t = Math.max(t, hi);
+      }
+    }
+    // lô cuối phải còn đủ chỉ tiêu; nếu không thì dừng, phần còn lại là remainder
+    const restFront = tB - t;
+    const restShort =
+      !isFinite(t) ||
+      t >= maxD - 1e-6 ||
+      (width && restFront < -1e-6) ||
+      (area && slabArea(t, maxD) <= 1e-6);
+    if (restShort) break;
+    cuts.push(t);
+    prevT = t;
+    prevFront = t;
+  }
+
+  // đoạn cuối: [last cut, maxD] — kiểm tra có đạt chỉ tiêu không
+  const lastT0 = cuts.length ? cuts[cuts.length - 1] : minD;
+  const lastFront = tB - (cuts.length ? cuts[cuts.length - 1] : tA);
+  const lastOk =
+    (!width || lastFront >= width - 1e-6) &&
+    (!area || slabArea(lastT0, maxD) >= area - 1e-6);
+  let flagLast = false;
+  if (!lastOk) {
+    if (opts.remainder === "flag") flagLast = true;
+    else if (cuts.length) cuts.pop(); // merge: gộp phần dư vào lô trước đó
+  }
+
+  const bounds = [minD, ...cuts, maxD];
+  const out = [];
+  for (let i = 0; i + 1 < bounds.length; i++) {
+    const piece = roundPoly(
+      slicePolygonSlab(poly, d, bounds[i], bounds[i + 1])
+    );
+    if (piece.length < 3 || shoelaceArea(piece) <= 1e-6) continue;
+    out.push({ polygon: piece, remainder: false });
+  }
+  if (flagLast && out.length) out[out.length - 1].remainder = true;
+  return out;
+}
+
+// ---------- Polygon boolean ops (planar arrangement) ----------
+/**
+ * Cách làm: chia nhỏ toàn bộ cạnh tại mọi giao điểm (kể cả chạm chữ T / chồng cạnh thẳng hàng),
+ * xét từng đoạn con: lấy mẫu 2 điểm lệch trái/phải → đoạn là biên kết quả nếu đúng 1 bên
+ * thuộc vùng kết quả. Nối các nửa-cạnh biên thành vòng (vùng kết quả luôn nằm bên trái).
+ * Xử lý được trường hợp 2 lô chung cạnh (Greiner–Hormann thường hỏng ở đây).
+ */
+const CLIP_TOL = 0.01; // toạ độ làm tròn 0.01 → coi các điểm cách nhau ≤ 1cm là trùng
+
+function pointInPolygon(p, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if (
+      yi > p[1] !== yj > p[1] &&
+      p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi
+    )
+      inside = !inside;
+  }
+  return inside;
+}
+function distToPolygonEdges(p, poly) {
+  let best = Infinity;
+  for (const [a, b] of edgesFromPolygon(poly, true))
+    best = Math.min(best, pointSegProjection(p, a, b).d2);
+  return Math.sqrt(best);
+}
+
+// Chia tập đoạn thẳng tại mọi giao điểm → { verts, edges: [[i, j]] } (cạnh vô hướng, không lặp)
+function buildArrangement(segments, tol = CLIP_TOL) {
+  const tol2 = tol * tol;
+  const verts = [];
+  const vertexId = (p) => {
+    for (let i = 0; i < verts.length; i++)
+      if (dist2(verts[i], p) <= tol2) return i;
+    verts.push([p[0], p[1]]);
+    return verts.length - 1;
+  };
+  const cuts = segments.map(([a, b]) => [
+    { t: 0, p: a },
+    { t: 1, p: b },
+  ]);
+  for (let i = 0; i < segments.length; i++) {
+    const [a, b] = segments[i];
+    const rx = b[0] - a[0],
+      ry = b[1] - a[1];
+    if (rx * rx + ry * ry <= tol2) continue;
+    for (let j = i + 1; j < segments.length; j++) {
+      const [c, d] = segments[j];
+      if (
+        Math.max(a[0], b[0]) + tol < Math.min(c[0], d[0]) ||
+        Math.max(c[0], d[0]) + tol < Math.min(a[0], b[0]) ||
+        Math.max(a[1], b[1]) + tol < Math.min(c[1], d[1]) ||
+        Math.max(c[1], d[1]) + tol < Math.min(a[1], b[1])
+      )
+        continue;
+      const sx = d[0] - c[0],
+        sy = d[1] - c[1];
+      if (sx * sx + sy * sy <= tol2) continue;
+      // đầu mút nằm trên đoạn kia (chữ T, chồng lấn thẳng hàng)
+      for (const q of [c, d]) {
+        const pr = pointSegProjection(q, a, b);
+        if (pr.d2 <= tol2) cuts[i].push({ t: pr.t, p: q });
+      }
+      for (const q of [a, b]) {
+        const pr = pointSegProjection(q, c, d);
+        if (pr.d2 <= tol2) cuts[j].push({ t: pr.t, p: q });
+      }
+      // cắt nhau thực sự (phần trong của cả 2 đoạn)
+      const den = rx * sy - ry * sx;
+      if (Math.abs(den) <= 1e-12) continue;
+      const qx = c[0] - a[0],
+        qy = c[1] - a[1];
+      const t = (qx * sy - qy * sx) / den;
+      const u = (qx * ry - qy * rx) / den;
+      if (t > 0 && t < 1 && u > 0 && u < 1) {
+        const p = [a[0] + t * rx, a[1] + t * ry];
+        cuts[i].push({ t, p });
+        cuts[j].push({ t: u, p });
+      }
+    }
+  }
+  const keys = new Set();
+  const edges = [];
+  for (const list of cuts) {
+    list.sort((x, y) => x.t - y.t);
+    let prev = -1;
+    for (const c of list) {
+      const id = vertexId(c.p);
+      if (prev !== -1 && id !== prev) {
+        const k = prev < id ? `${prev}:${id}` : `${id}:${prev}`;
+        if (!keys.has(k)) {
+          keys.add(k);
+          edges.push([prev, id]);
+        }
+      }
+      prev = id;
+    }
+  }
+  return { verts, edges };
+}
+
+// Bỏ đỉnh trùng, đỉnh thẳng hàng và gai (đi rồi quay lại)
+function simplifyRing(ring, tol = CLIP_TOL) {
+  let pts = ring.slice();
+  let changed = true;
+  while (changed && pts.length >= 3) {
+    changed = false;
+    for (let i = 0; i < pts.length && pts.length >= 3; i++) {
+      const a = pts[(i - 1 + pts.length) % pts.length];
+      const b = pts[i];
+      const c = pts[(i + 1) % pts.length];
+      const L = distance(a, c);
+      const degenerate =
+        distance(a, b) <= tol ||
+        (L > tol ? Math.abs(_cross(a, b, c)) / L <= tol * 0.1 : true); // a ≈ c → gai
+      if (degenerate) {
+        pts.splice(i, 1);
+        changed = true;
+        i--;
+      }
+    }
+  }
+  return pts.length >= 3 ? pts : [];
+}
+
+/**
+ * Nối các nửa-cạnh active (h = 2k: u→v, h = 2k+1: v→u của edges[k]) thành vòng kín.
+ * Tại mỗi đỉnh chọn nửa-cạnh ra đầu tiên theo chiều kim đồng hồ tính từ hướng quay lại
+ * → vùng bên trái mỗi nửa-cạnh luôn là mặt nhỏ nhất (vòng ngoài CCW, lỗ CW).
+ */
+function traceRings(verts, edges, active) {
+  const from = (h) => edges[h >> 1][h & 1];
+  const to = (h) => edges[h >> 1][1 - (h & 1)];
+  const ang = (h) => {
+    const a = verts[from(h)],
+      b = verts[to(h)];
+    return Math.atan2(b[1] - a[1], b[0] - a[0]);
+  };
+  const out = verts.map(() => []);
+  for (let h = 0; h < edges.length * 2; h++)
+    if (active(h)) out[from(h)].push(h);
+  const used = new Set();
+  const rings = [];
+  for (let h0 = 0; h0 < edges.length * 2; h0++) {
+    if (!active(h0) || used.has(h0)) continue;
+    const ring = [];
+    let h = h0;
+    while (!used.has(h)) {
+      used.add(h);
+      ring.push(verts[from(h)]);
+      const back = ang(h ^ 1);
+      let best = -1,
+        bestDelta = Infinity;
+      for (const c of out[to(h)]) {
+        let dl = back - ang(c);
+        while (dl <= 1e-12) dl += 2 * Math.PI;
+        while (dl > 2 * Math.PI + 1e-12) dl -= 2 * Math.PI;
+        if (dl < bestDelta) {
+          bestDelta = dl;
+          best = c;
+        }
+      }
+      if (best === -1) break;
+      h = best;
+    }
+    if (h === h0) {
+      const r = simplifyRing(ring);
+      if (r.length >= 3) rings.push(r);
+    }
+  }
+  return rings;
+}
+
+/**
+ * Phép toán tập hợp trên 2 polygon đơn (mở, không đóng vòng).
+ * op: "union" | "intersection" | "difference" (A − B)
+ * Trả về { polygons: [[...]] (vòng ngoài, CCW), holes: [[...]] (CW) }
+ */
+function polygonBoolean(A, B, op, tol = CLIP_TOL) {
+  const pa = stripClosingDuplicate(A || []);
+  const pb = stripClosingDuplicate(B || []);
+  if (pa.length < 3) return { polygons: [], holes: [] };
+  if (pb.length < 3)
+    return {
+      polygons: op === "intersection" ? [] : [toCCW(pa)],
+      holes: [],
+    };
+  return regionBoolean(
+    [pa, pb],
+    (p) => {
+      const a = pointInPolygon(p, pa);
+      const b = pointInPolygon(p, pb);
+      if (op === "union") return a || b;
+      if (op === "intersection") return a && b;
+      return a && !b;
+    },
+    tol
+  );
+}
+
+/**
+ * Vùng tạo bởi nhiều polygon (mở) theo hàm thuộc inside(p): vd. hợp của N lô, boundary − ∪lô.
+ * Cạnh của mọi polygon được chia tại giao điểm; đoạn nào đúng 1 bên thuộc vùng là biên.
+ * Trả về { polygons, holes } như polygonBoolean.
+ */
+function regionBoolean(polys, inside, tol = CLIP_TOL) {
+  const segs = polys
+    .map((p) => stripClosingDuplicate(p || []))
+    .filter((p) => p.length >= 3)
+    .flatMap((p) => edgesFromPolygon(p, true));
+  const { verts, edges } = buildArrangement(segs, tol);
+  // hướng biên cho từng đoạn: 0 = u→v, 1 = v→u, -1 = không phải biên
+  const off = 2 * tol;
+  const dirs = edges.map(([u, v]) => {
+    const a = verts[u],
+      b = verts[v];
+    const L = distance(a, b) || 1;
+    const m = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const nx = -(b[1] - a[1]) / L,
+      ny = (b[0] - a[0]) / L;
+    const left = inside([m[0] + nx * off, m[1] + ny * off]);
+    const right = inside([m[0] - nx * off, m[1] - ny * off]);
+    return left && !right ? 0 : right && !left ? 1 : -1;
+  });
+  const rings = traceRings(verts, edges, (h) => dirs[h >> 1] === (h & 1));
+  return {
+    polygons: rings.filter((r) => signedArea(r) > 0).map(roundPoly),
+    holes: rings.filter((r) => signedArea(r) < 0).map(roundPoly),
+  };
+}
+
+// Diện tích vùng (vòng ngoài − lỗ)
+function regionArea(r) {
+  return (
+    r.polygons.reduce((s, p) => s + shoelaceArea(p), 0) -
+    r.holes.reduce((s, p) => s + shoelaceArea(p), 0)
+  );
+}
+
+/** Cắt polygon theo polyline (mở). Trả về các mảnh (CCW); < 2 mảnh = không cắt được. */
+function splitPolygonByPolyline(poly, line, tol = CLIP_TOL) {
+  const pa = stripClosingDuplicate(poly || []);
+  if (pa.length < 3 || !line || line.length < 2) return [];
+  const segs = [
+    ...edgesFromPolygon(pa, true),
+    ...edgesFromPolygon(line, false),
+  ];
+  const arr = buildArrangement(segs, tol);
+  const { verts } = arr;
+  // chỉ giữ phần đường cắt nằm trong polygon
+  let edges = arr.edges.filter(([u, v]) => {
+    const m = [
+      (verts[u][0] + verts[v][0]) / 2,
+      (verts[u][1] + verts[v][1]) / 2,
+    ];
+    return pointInPolygon(m, pa) || distToPolygonEdges(m, pa) <= tol;
+  });
+  // tỉa nhánh cụt (đầu đường cắt không chạm biên)
+  for (let changed = true; changed; ) {
+    const deg = verts.map(() => 0);
+    for (const [u, v] of edges) {
+      deg[u]++;
+      deg[v]++;
+    }
+    const next = edges.filter(([u, v]) => deg[u] > 1 && deg[v] > 1);
+    changed = next.length !== edges.length;
+    edges = next;
+  }
+  // bỏ các vòng cô lập không nối với biên polygon (đảo bên trong)
+  const start = verts.findIndex((q) => distToPolygonEdges(q, pa) <= tol);
+  const seen = new Set([start]);
+  for (let grown = true; grown; ) {
+    grown = false;
+    for (const [u, v] of edges) {
+      if (seen.has(u) !== seen.has(v)) {
+        seen.add(u);
+        seen.add(v);
+        grown = true;
+      }
+    }
+  }
+  edges = edges.filter(([u]) => seen.has(u));
+  return traceRings(verts, edges, () => true)
+    .filter((r) => signedArea(r) > 0)
+    .map(roundPoly)
+    .filter((r) => r.length >= 3);
+}
+
+// ---------- Plan validation (topology) ----------
+function polygonBBox(poly) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const [x, y] of poly || []) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return { minX, minY, maxX, maxY };
+}
+function bboxesNear(a, b, pad = 0) {
+  return !(
+    a.maxX + pad < b.minX ||
+    b.maxX + pad < a.minX ||
+    a.maxY + pad < b.minY ||
+    b.maxY + pad < a.minY
+  );
+}
+function polygonPerimeter(poly) {
+  return edgesFromPolygon(poly, true).reduce(
+    (s, [a, b]) => s + distance(a, b),
+    0
+  );
+}
+// Khoảng cách nhỏ nhất giữa 2 polygon (theo cạnh)
+function polygonsDistance(A, B) {
+  let best = Infinity;
+  for (const [a, b] of edgesFromPolygon(A, true))
+    for (const [c, d] of edgesFromPolygon(B, true))
+      best = Math.min(best, segmentDistance(a, b, c, d));
+  return best;
+}
+// Giao điểm giữa các cạnh KHÔNG kề nhau của 1 polygon
+function selfIntersectionPoints(poly) {
+  const pts = [];
+  const edges = edgesFromPolygon(stripClosingDuplicate(poly || []), true);
+  const n = edges.length;
+  if (n < 4) return pts;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // cạnh đầu & cuối kề nhau
+      const [a, b] = edges[i];
+      const [c, d] = edges[j];
+      if (!segmentsIntersectOrTouch(a, b, c, d)) continue;
+      const den = (b[0] - a[0]) * (d[1] - c[1]) - (b[1] - a[1]) * (d[0] - c[0]);
+      if (Math.abs(den) <= 1e-12) {
+        pts.push(pointSegProjection(c, a, b).proj); // chồng cạnh thẳng hàng
+        continue;
+      }
+      const t =
+        ((c[0] - a[0]) * (d[1] - c[1]) - (c[1] - a[1]) * (d[0] - c[0])) / den;
+      pts.push([a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]);
+    }
+  }
+  return pts;
+}
+function duplicateVertexPoints(poly, tol = CLIP_TOL) {
+  const pts = stripClosingDuplicate(poly || []);
+  const dups = [];
+  for (let i = 0; i < pts.length; i++)
+    for (let j = i + 1; j < pts.length; j++)
+      if (distance(pts[i], pts[j]) <= tol) dups.push(pts[i]);
+  return dups;
+}
+
+/**
+ * Kiểm tra topo toàn phương án.
+ * plan: { boundary, boundaryClosed, internalRoads, lots }
+ * opts: { minArea, sliverWidth, gapTol }
+ * Trả về issues: [{ severity: "error"|"warning", type, message, area?, targets: [{kind, index, id}], focus: [[x,y]...] }]
+ * targets.id (lot_id / road_id) để tìm lại đối tượng khi index đã đổi sau khi sửa.
+ */
+function validatePlan(plan, opts = {}) {
+  const minArea = opts.minArea ?? 0.01; // m² — bỏ qua chồng lấn nhỏ hơn (sai số làm tròn)
+  const sliverWidth = opts.sliverWidth ?? 1; // bề rộng hiệu dụng 2A/P < 1m = sliver
+  const gapTol = opts.gapTol ?? 0.5; // khe hở rộng < 0.5m (giữa các lô / lô với ranh) = nghi vẽ hụt
+  const { boundary = [], boundaryClosed, internalRoads = [], lots = [] } = plan;
+  const issues = [];
+  const fmt = (a) => a.toFixed(2);
+
+  const objs = [
+    ...(boundaryClosed && boundary.length >= 3
+      ? [{ kind: "boundary", index: 0, id: "Boundary", poly: boundary }]
+      : []),
+    ...internalRoads.map((r, i) => ({
+      kind: "internal",
+      index: i,
+      id: r.road_id,
+      poly: r.polygon,
+    })),
+    ...lots.map((l, i) => ({
+      kind: "lot",
+      index: i,
+      id: l.lot_id,
+      poly: l.polygon,
+    })),
+  ].map((o) => ({ ...o, bbox: polygonBBox(o.poly) }));
+
+  // 1) self-intersection & đỉnh trùng
+  for (const o of objs) {
+    const xs = selfIntersectionPoints(o.poly);
+    if (xs.length)
+      issues.push({
+        severity: "error",
+        type: "self-intersection",
+        message: `${o.id}: tự cắt tại ${xs.length} điểm`,
+        targets: [{ kind: o.kind, index: o.index, id: o.id }],
+        focus: xs,
+      });
+    const dups = duplicateVertexPoints(o.poly);
+    if (dups.length)
+      issues.push({
+        severity: "warning",
+        type: "duplicate-vertex",
+        message: `${o.id}: ${dups.length} đỉnh trùng`,
+        targets: [{ kind: o.kind, index: o.index, id: o.id }],
+        focus: dups,
+      });
+  }
+
+  const lotObjs = objs.filter((o) => o.kind === "lot");
+  const roadObjs = objs.filter((o) => o.kind === "internal");
+
+  // 2) slivers
+  for (const o of lotObjs) {
+    const A = shoelaceArea(o.poly);
+    const P = polygonPerimeter(o.poly);
+    const w = P > 0 ? (2 * A) / P : 0;
+    if (w < sliverWidth)
+      issues.push({
+        severity: "warning",
+        type: "sliver",
+        message: `${o.id}: lô quá mảnh (bề rộng hiệu dụng ${fmt(w)} m, ${fmt(
+          A
+        )} m²)`,
+        area: A,
+        targets: [{ kind: o.kind, index: o.index, id: o.id }],
+        focus: o.poly,
+      });
+  }
+
+  // 3) chồng lấn lot–lot, lot–road
+  const overlap = (a, b, label) => {
+    if (!bboxesNear(a.bbox, b.bbox)) return;
+    const r = polygonBoolean(a.poly, b.poly, "intersection");
+    const area = r.polygons.reduce((s, p) => s + shoelaceArea(p), 0);
+    if (area > minArea)
+      issues.push({
+        severity: "error",
+        type: label,
+        message: `${a.id} ∩ ${b.id}: chồng lấn ${fmt(area)} m²`,
+        area,
+        targets: [
+          { kind: a.kind, index: a.index, id: a.id },
+          { kind: b.kind, index: b.index, id: b.id },
+        ],
+        focus: r.polygons.flat(),
+      });
+  };
+  for (let i = 0; i < lotObjs.length; i++)
+    for (let j = i + 1; j < lotObjs.length; j++)
+      overlap(lotObjs[i], lotObjs[j], "lot-overlap");
+  for (const l of lotObjs)
+    for (const r of roadObjs) overlap(l, r, "road-overlap");
+
+  // 4) phần nằm ngoài boundary
+  const b = objs.find((o) => o.kind === "boundary");
+  if (b) {
+    for (const o of [...roadObjs, ...lotObjs]) {
+      const r = polygonBoolean(o.poly, b.poly, "difference");
+      const area = r.polygons.reduce((s, p) => s + shoelaceArea(p), 0);
+      if (area > minArea)
+        issues.push({
+          severity: "error",
+          type: "out-of-boundary",
+          message: `${o.id}: ${fmt(area)} m² nằm ngoài boundary`,
+          area,
+          targets: [{ kind: o.kind, index: o.index, id: o.id }],
+          focus: r.polygons.flat(),
+        });
+    }
+  }
+
+  // 5) khe hở: phần boundary không thuộc lô / đường nào mà hẹp (2A/P < gapTol)
+  //    → bắt được cả khe hình nêm giữa 2 lô chạm nhau ở chỗ khác và dải hụt sát ranh.
+  //    Phần trống rộng là đất chưa phân bổ (xem Land-use budget), không báo ở đây.
+  if (b) {
+    const parts = [...roadObjs, ...lotObjs];
+    const uncovered = regionBoolean(
+      [b.poly, ...parts.map((o) => o.poly)],
+      (p) =>
+        pointInPolygon(p, b.poly) &&
+        !parts.some((o) => pointInPolygon(p, o.poly))
+    );
+    for (const g of uncovered.polygons) {
+      const holes = uncovered.holes.filter((h) => pointInPolygon(h[0], g));
+      const area =
+        shoelaceArea(g) - holes.reduce((s, h) => s + shoelaceArea(h), 0);
+      const P = [g, ...holes].reduce((s, r) => s + polygonPerimeter(r), 0);
+      const w = P > 0 ? (2 * area) / P : 0;
+      if (area <= minArea || w >= gapTol) continue;
+      const gbox = polygonBBox(g);
+      const near = parts.filter(
+        (o) =>
+          bboxesNear(gbox, o.bbox, CLIP_TOL) &&
+          polygonsDistance(g, o.poly) <= 2 * CLIP_TOL
+      );
+      issues.push({
+        severity: "warning",
+        type: "gap",
+        message: `Khe hở ${fmt(area)} m² (rộng ~${fmt(w)} m) cạnh ${
+          near.map((o) => o.id).join(", ") || "boundary"
+        }`,
+        area,
+        targets: near.map((o) => ({ kind: o.kind, index: o.index, id: o.id })),
+        focus: g,
+      });
+    }
+  }
+  // chưa có boundary: chỉ xét 2 lô gần kề (không chạm nhưng cách < gapTol)
+  else
+    for (let i = 0; i < lotObjs.length; i++)
+      for (let j = i + 1; j < lotObjs.length; j++) {
+        const a = lotObjs[i],
+          c = lotObjs[j];
+        if (!bboxesNear(a.bbox, c.bbox, gapTol)) continue;
+        const d = polygonsDistance(a.poly, c.poly);
+        if (d > CLIP_TOL && d < gapTol)
+          issues.push({
+            severity: "warning",
+            type: "gap",
+            message: `${a.id} ↔ ${c.id}: khe hở ${fmt(d)} m`,
+            targets: [
+              { kind: a.kind, index: a.index, id: a.id },
+              { kind: c.kind, index: c.index, id: c.id },
+            ],
+            focus: [...a.poly, ...c.poly],
+          });
+      }
+
+  const rank = { error: 0, warning: 1 };
+  return issues.sort((p, q) => rank[p.severity] - rank[q.severity]);
+}
+
+// ---------- Shared-vertex topology (planar graph) ----------
+/**
+ * Gom các đỉnh trùng nhau (sai lệch ≤ tol) của mọi đối tượng thành node chung.
+ * shapes: [{ kind, index, points }]
+ * Trả về:
+ * - nodes: [{ pos, refs: [{ kind, index, vertexIndex }] }]
+ * - nodeOf(kind, index, vertexIndex) → id node
+ */
+function buildVertexTopology(shapes, tol = CLIP_TOL) {
+  const cell = (v) => Math.round(v / tol);
+  const grid = new Map();
+  const nodes = [];
+  const byRef = new Map();
+  const refKey = (kind, index, vi) => `${kind}:${index}:${vi}`;
+
+  const findNode = (p) => {
+    const cx = cell(p[0]),
+      cy = cell(p[1]);
+    for (let dx = -1; dx <= 1; dx++)
+      for (let dy = -1; dy <= 1; dy++)
+        for (const id of grid.get(`${cx + dx}:${cy + dy}`) || [])
+          if (distance(nodes[id].pos, p) <= tol) return id;
+    const id = nodes.length;
+    nodes.push({ pos: p, refs: [] });
+    const k = `${cx}:${cy}`;
+    grid.set(k, [...(grid.get(k) || []), id]);
+    return id;
+  };
+
+  for (const s of shapes) {
+    s.points.forEach((p, vi) => {
+      const id = findNode(p);
+      nodes[id].refs.push({ kind: s.kind, index: s.index, vertexIndex: vi });
+      byRef.set(refKey(s.kind, s.index, vi), id);
+    });
+  }
+
+  return {
+    nodes,
+    nodeOf: (kind, index, vi) => byRef.get(refKey(kind, index, vi)),
+  };
+}
+
+// ---------- Setbacks & buildable envelope ----------
+// Khoảng lùi mặc định (m) + diện tích envelope tối thiểu (m²)
+const DEFAULT_SETBACKS = { front: 5, side: 1, rear: 2, minArea: 30 };
+
+/**
+ * Phân loại cạnh của lô (ring CCW) theo front road:
+ * - "front": cạnh chồng lên road (không có cạnh nào chồng → cạnh gần road nhất)
+ * - "rear": cạnh quay lưng với mặt tiền nhất (pháp tuyến ngoài ngược hướng)
+ * - "side": còn lại. Không có road → mọi cạnh là "side".
+ */
+function classifyLotEdges(ring, roadId, ctx, tolUnits = 0) {
+  const edges = edgesFromPolygon(ring, true);
+  const kinds = edges.map(() => "side");
+  const segs = roadId ? roadFrontSegs(roadId, ctx) : [];
+  if (!segs.length) return kinds;
+  const tol = Math.max(tolUnits, CLIP_TOL);
+  edges.forEach((e, i) => {
+    if (sharedEdgeLength([e], segs, tol) > CLIP_TOL) kinds[i] = "front";
+  });
+  if (!kinds.includes("front")) {
+    let best = -1,
+      bestD = Infinity;
+    edges.forEach(([a, b], i) => {
+      for (const [c, d] of segs) {
+        const dd = segmentDistance(a, b, c, d);
+        if (dd < bestD) {
+          bestD = dd;
+          best = i;
+        }
+      }
+    });
+    kinds[best] = "front";
+  }
+  // pháp tuyến ngoài (ring CCW → bên phải cạnh), cộng dồn theo chiều dài cạnh front
+  const outward = ([a, b]) => [b[1] - a[1], a[0] - b[0]];
+  const F = [0, 0];
+  edges.forEach((e, i) => {
+    if (kinds[i] !== "front") return;
+    const o = outward(e);
+    F[0] += o[0];
+    F[1] += o[1];
+  });
+  let rear = -1,
+    rearScore = 0;
+  edges.forEach((e, i) => {
+    if (kinds[i] !== "side") return;
+    const o = outward(e);
+    const len = Math.hypot(o[0], o[1]) || 1;
+    const score = _dot(o, F) / len; // < 0: quay lưng với mặt tiền
+    if (score < rearScore - EPS) {
+      rear = i;
+      rearScore = score;
+    }
+  });
+  if (rear >= 0) kinds[rear] = "rear";
+  return kinds;
+}
+
+/**
+ * Vùng xây dựng (buildable envelope) = lô trừ đi dải lùi của từng cạnh
+ * (front/side/rear theo classifyLotEdges) và đĩa bán kính lùi tại các góc lõm.
+ * setbacks: { front, side, rear, minArea }
+ * Trả về { polygon, area, coverage, kinds, flag: null|"collapsed"|"small" }
+ */
+function lotBuildableEnvelope(poly, roadId, ctx, setbacks = {}, tolUnits = 0) {
+  const ring = toCCW(stripClosingDuplicate(poly || []));
+  const lotArea = ring.length >= 3 ? shoelaceArea(ring) : 0;
+  const empty = {
+    polygon: [],
+    area: 0,
+    coverage: 0,
+    kinds: [],
+    flag: "collapsed",
+  };
+  if (lotArea <= EPS) return empty;
+  const kinds = classifyLotEdges(ring, roadId, ctx, tolUnits);
+  const dOf = (i) => Math.max(0, Number(setbacks[kinds[i]]) || 0);
+  const n = ring.length;
+
+  const cutters = [];
+  for (let i = 0; i < n; i++) {
+    const d = dOf(i);
+    if (d <= 0) continue;
+    const a = ring[i],
+      b = ring[(i + 1) % n];
+    const { n: nin } = normDirFromEdge(a, b); // pháp tuyến trái = phía trong (CCW)
+    cutters.push([
+      a,
+      b,
+      [b[0] + nin[0] * d, b[1] + nin[1] * d],
+      [a[0] + nin[0] * d, a[1] + nin[1] * d],
+    ]);
+  }
+  for (let i = 0; i < n; i++) {
+    const prev = (i - 1 + n) % n;
+    const r = Math.max(dOf(prev), dOf(i));
+    if (r <= 0 || _cross(ring[prev], ring[i], ring[(i + 1) % n]) >= 0) continue;
+    cutters.push(arcPoints(ring[i], r, 0, 2 * Math.PI, 1).slice(0, -1)); // góc lõm
+  }
+
+  let pieces = [ring];
+  for (const c of cutters)
+    pieces = pieces.flatMap((p) => polygonBoolean(p, c, "difference").polygons);
+  let best = null;
+  for (const p of pieces) {
+    const a = shoelaceArea(p);
+    if (!best || a > best.area) best = { polygon: p, area: a };
+  }
+  if (!best || best.area <= CLIP_TOL) return { ...empty, kinds };
+  const area = Number(best.area.toFixed(2));
+  const minArea = Number(setbacks.minArea) || 0;
+  return {
+    polygon: best.polygon,
+    area,
+    coverage: Number((best.area / lotArea).toFixed(3)),
+    kinds,
+    flag: area < minArea ? "small" : null,
+  };
+}
+
+// ---------- Lot attributes ----------
+const LOT_LAND_USES = {
+  residential: "Residential",
+  commercial: "Commercial",
+  green_space: "Green space",
+  utility: "Utility",
+};
+const LOT_STATUSES = {
+  available: "Available",
+  reserved: "Reserved",
+  sold: "Sold",
+};
+
+// Lỗi của lot_id mới (null = hợp lệ): không rỗng, không trùng lô khác hay road_id
+// (Import coi id lô và đường chung một không gian tên)
+function lotIdError(id, lots, selfIndex, roads = []) {
+  const v = String(id ?? "").trim();
+  if (!v) return "lot_id không được rỗng";
+  if (lots.some((l, i) => i !== selfIndex && l.lot_id === v))
+    return `lot_id "${v}" đã tồn tại`;
+  if (roads.some((r) => r.road_id === v))
+    return `"${v}" đang là road_id của một đường`;
+  return null;
+}
+
+// ---------- Layers (ẩn / khoá / làm mờ theo loại đối tượng) ----------
+const LAYER_LABELS = {
+  boundary: "Boundary",
+  publicRoads: "Public roads",
+  internalRoads: "Internal roads",
+  lots: "Lots",
+  annotations: "Annotations",
+  labels: "Coord / length labels",
+};
+const DEFAULT_LAYERS = Object.fromEntries(
+  Object.keys(LAYER_LABELS).map((k) => [
+    k,
+    { visible: true, locked: false, opacity: 1 },
+  ])
+);
+// kind của selection / hit-test → layer chứa nó
+const LAYER_OF_KIND = {
+  boundary: "boundary",
+  publicEP: "publicRoads",
+  internal: "internalRoads",
+  centerline: "internalRoads",
+  lot: "lots",
+  annotation: "annotations",
+};
+
+// ---------- Measure & annotations ----------
+const MEASURE_TOOLS = {
+  distance: "Distance",
+  angle: "Angle",
+  area: "Area probe",
+};
+// type annotation sinh ra từ Measure (giá trị tính từ điểm)
+const MEASURE_TYPES = { dimension: true, angle: true, area: true };
+// type của annotation → số điểm tối thiểu
+// dimension/angle/area: kết quả đo đã ghim; aligned/leader/text/north: ghi chú bản vẽ
+const ANNOTATION_MIN_POINTS = {
+  dimension: 2,
+  angle: 3,
+  area: 3,
+  aligned: 2,
+  leader: 2,
+  text: 1,
+  north: 1,
+};
+const ANNOTATE_TOOLS = {
+  aligned: "Aligned dimension",
+  leader: "Leader note",
+  text: "Text",
+  north: "North arrow",
+};
+
+function polylineLength(pts) {
+  let s = 0;
+  for (let i = 1; i < pts.length; i++) s += distance(pts[i - 1], pts[i]);
+  return s;
+}
+
+// Góc ABC tại đỉnh B (độ, 0–180)
+function angleAt(a, b, c) {
+  const v1 = [a[0] - b[0], a[1] - b[1]];
+  const v2 = [c[0] - b[0], c[1] - b[1]];
+  const n = Math.hypot(...v1) * Math.hypot(...v2);
+  if (n < 1e-12) return 0;
+  const cos = (v1[0] * v2[0] + v1[1] * v2[1]) / n;
+  return (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+}
+
+// Kết quả đo từ danh sách điểm (null nếu chưa đủ điểm)
+function measureFromPoints(type, pts, target = null) {
+  if (pts.length < ANNOTATION_MIN_POINTS[type]) return null;
+  if (type === "dimension")
+    return { type, points: pts, value: Number(polylineLength(pts).toFixed(3)) };
+  if (type === "angle")
+    return {
+      type,
+      points: pts.slice(0, 3),
+      value: Number(angleAt(pts[0], pts[1], pts[2]).toFixed(3)),
+    };
+  return {
+    type,
+    points: pts,
+    value: Number(shoelaceArea(pts).toFixed(3)),
+    perimeter: Number(polylineLength([...pts, pts[0]]).toFixed(3)),
+    target,
+  };
+}
+
+function measureLabel(m) {
+  if (m.type === "dimension" || m.type === "aligned")
+    return `${m.value.toFixed(2)} m`;
+  if (m.type === "leader" || m.type === "text") return m.text;
+  if (m.type === "north") return "N";
+  if (m.type === "angle") return `${m.value.toFixed(2)}°`;
+  return `${m.target ? `${m.target}: ` : ""}A ${m.value.toFixed(
+    2
+  )} m² • P ${m.perimeter.toFixed(2)} m`;
+}
+
+// Tính lại giá trị đo sau khi điểm của annotation thay đổi
+function refreshAnnotation(a) {
+  if (a.type === "aligned")
+    return {
+      ...a,
+      value: Number(distance(a.points[0], a.points[1]).toFixed(3)),
+    };
+  if (a.type === "dimension" || a.type === "angle" || a.type === "area")
+    return { ...a, ...measureFromPoints(a.type, a.points, a.target) };
+  return a;
+}
+
+// Kích thước tự động của 1 lô: các cạnh mặt tiền + chiều sâu (lotDepthInfo).
+// Điểm cạnh mặt tiền xếp sao cho pháp tuyến trái của a→b hướng ra ngoài lô (ring CCW).
+function lotAutoDimensions(poly, roadId, ctx, tolUnits = 0) {
+  const ring = toCCW(stripClosingDuplicate(poly || []));
+  if (ring.length < 3) return [];
+  const edges = edgesFromPolygon(ring, true);
+  const kinds = classifyLotEdges(ring, roadId, ctx, tolUnits);
+  const dim = ([a, b], role) => ({
+    type: "aligned",
+    role,
+    points: [b, a],
+    value: Number(distance(a, b).toFixed(3)),
+  });
+  const out = [];
+  if (roadId)
+    edges.forEach((e, i) => {
+      if (kinds[i] === "front") out.push(dim(e, "frontage"));
+    });
+  const info = lotDepthInfo(ring, roadId, ctx, tolUnits);
+  if (info && info.depth > EPS)
+    out.push({
+      type: "aligned",
+      role: "depth",
+      points: [info.from, info.to],
+      value: Number(info.depth.toFixed(3)),
+    });
+  return out;
+}
+
+// Đọc output.annotations khi import (tuỳ chọn); giá trị đo được tính lại từ điểm.
+// Bỏ qua mục auto (kích thước lô tự sinh lại từ hình học).
+function parseAnnotationsField(v, path, errors) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) {
+    errors.push(`${path}: cần mảng`);
+    return [];
+  }
+  const out = [];
+  v.forEach((a, i) => {
+    const p = `${path}[${i}]`;
+    if (!a || typeof a !== "object" || !(a.type in ANNOTATION_MIN_POINTS)) {
+      errors.push(
+        `${p}.type: cần một trong ${Object.keys(ANNOTATION_MIN_POINTS).join(
+          ", "
+        )}`
+      );
+      return;
+    }
+    if (a.auto) return;
+    const pts = parsePointListField(a.points, `${p}.points`, errors);
+    if (!pts) return;
+    if (!(a.type in MEASURE_TYPES)) {
+      if (pts.length < ANNOTATION_MIN_POINTS[a.type]) {
+        errors.push(
+          `${p}.points: cần tối thiểu ${ANNOTATION_MIN_POINTS[a.type]} điểm`
+        );
+        return;
+      }
+      const base = {
+        id: typeof a.id === "string" && a.id ? a.id : `A${i + 1}`,
+        type: a.type,
+        points: pts.slice(0, ANNOTATION_MIN_POINTS[a.type]),
+      };
+      if (a.type === "aligned")
+        out.push(refreshAnnotation({ ...base, offset: Number(a.offset) || 0 }));
+      else if (a.type === "north")
+        out.push({ ...base, rotation: Number(a.rotation) || 0 });
+      else out.push({ ...base, text: String(a.text ?? "") });
+      return;
+    }
+    const m = measureFromPoints(
+      a.type,
+      a.type === "area" ? stripClosingDuplicate(pts) : pts,
+      typeof a.target === "string" ? a.target : null
+    );
+    if (!m) {
+      errors.push(
+        `${p}.points: cần tối thiểu ${ANNOTATION_MIN_POINTS[a.type]} điểm`
+      );
+      return;
+    }
+    out.push({
+      id: typeof a.id === "string" && a.id ? a.id : `M${i + 1}`,
+      ...m,
+    });
+  });
+  return out;
+}
+
+// ---------- View (zoom / pan) ----------
+// Zoom giữ nguyên điểm (ux, uy) dưới con trỏ
+function zoomViewBox(vb, ux, uy, factor) {
+  const w2 = vb.w / factor;
+  const h2 = vb.h / factor;
+  const ax = (ux - vb.x) / vb.w;
+  const ay = (uy - vb.y) / vb.h;
+  return { x: ux - ax * w2, y: uy - ay * h2, w: w2, h: h2 };
+}
+// Pan + pinch: điểm a (units, theo view lúc bắt đầu) được kéo tới vị trí màn hình
+// mà view cũ gọi là b; factor = tỉ lệ khoảng cách 2 ngón (1 = chỉ pan)
+function gestureViewBox(vb, a, b, factor = 1) {
+  return {
+    x: a[0] - (b[0] - vb.x) / factor,
+    y: a[1] - (b[1] - vb.y) / factor,
+    w: vb.w / factor,
+    h: vb.h / factor,
+  };
+}
+// Hệ số zoom theo bánh xe / trackpad (deltaMode 1 = dòng, ~33px)
+function wheelZoomFactor(e) {
+  const dy = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+  return Math.exp(-Math.max(-200, Math.min(200, dy)) * 0.001);
+}
+
+// ---------- Raster underlay (ảnh nền + georeference) ----------
+// Ma trận affine [a, b, c, d, e, f] theo quy ước SVG matrix():
+//   x = a·u + c·v + e,  y = b·u + d·v + f   (u, v = pixel ảnh; x, y = canvas)
+// 2 cặp điểm → similarity (xoay + scale đều); 3 cặp → affine (scale không đều)
+function georefMatrix(pairs) {
+  if (pairs.length >= 3) {
+    const [p1, p2, p3] = pairs;
+    const du2 = p2.u - p1.u,
+      dv2 = p2.v - p1.v,
+      du3 = p3.u - p1.u,
+      dv3 = p3.v - p1.v;
+    const det = du2 * dv3 - du3 * dv2;
+    if (Math.abs(det) < 1e-9)
+      return { matrix: null, error: "3 điểm pixel thẳng hàng" };
+    const dx2 = p2.x - p1.x,
+      dy2 = p2.y - p1.y,
+      dx3 = p3.x - p1.x,
+      dy3 = p3.y - p1.y;
+    const a = (dx2 * dv3 - dx3 * dv2) / det;
+    const c = (du2 * dx3 - du3 * dx2) / det;
+    const b = (dy2 * dv3 - dy3 * dv2) / det;
+    const d = (du2 * dy3 - du3 * dy2) / det;
+    return {
+      matrix: [
+        a,
+        b,
+        c,
+        d,
+        p1.x - a * p1.u - c * p1.v,
+        p1.y - b * p1.u - d * p1.v,
+      ],
+      error: null,
+    };
+  }
+  if (pairs.length === 2) {
+    // số phức: (x2 - x1) + i(y2 - y1) = (a + ib) · ((u2 - u1) + i(v2 - v1))
+    const [p1, p2] = pairs;
+    const du = p2.u - p1.u,
+      dv = p2.v - p1.v;
+    const m2 = du * du + dv * dv;
+    if (m2 < 1e-12) return { matrix: null, error: "2 điểm pixel trùng nhau" };
+    const dx = p2.x - p1.x,
+      dy = p2.y - p1.y;
+    const a = (dx * du + dy * dv) / m2;
+    const b = (dy * du - dx * dv) / m2;
+    return {
+      matrix: [
+        a,
+        b,
+        -b,
+        a,
+        p1.x - a * p1.u + b * p1.v,
+        p1.y - b * p1.u - a * p1.v,
+      ],
+      error: null,
+    };
+  }
+  return { matrix: null, error: null };
+}
+
+function invertAffine(m, [x, y]) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(det) < 1e-12) return null;
+  const tx = x - m[4],
+    ty = y - m[5];
+  return [(m[3] * tx - m[2] * ty) / det, (m[0] * ty - m[1] * tx) / det];
+}
+
+// Thông số dễ đọc của ma trận: góc xoay (độ), scale theo trục ảnh (unit/px)
+function describeAffine(m) {
+  return {
+    rotation: (Math.atan2(m[1], m[0]) * 180) / Math.PI,
+    scaleX: Math.hypot(m[0], m[1]),
+    scaleY: Math.hypot(m[2], m[3]),
+  };
+}
+
+// ---------- Thematic map (tô màu lô theo thuộc tính) ----------
+const THEME_ATTRIBUTES = {
+  none: "None",
+  area: "Area classes",
+  front_road: "Front road",
+  land_use: "Land use",
+  status: "Sales status",
+  compliance: "Compliance",
+};
+const THEME_METHODS = {
+  equal: "Equal interval",
+  quantile: "Quantile",
+  manual: "Manual",
+};
+const DEFAULT_LOT_THEME = {
+  attribute: "none",
+  method: "equal",
+  classes: 5,
+  manual: "", // danh sách ngưỡng, vd "100, 150, 200"
+};
+// ramp tuần tự cho lớp diện tích (nhỏ → lớn), tối đa 7 lớp
+const THEME_RAMP = [
+  "#fef3c7",
+  "#fde68a",
+  "#fcd34d",
+  "#fb923c",
+  "#f97316",
+  "#dc2626",
+  "#991b1b",
+];
+// bảng màu phân loại cho front road (lặp vòng nếu nhiều đường)
+const THEME_CATEGORICAL = [
+  "#3b82f6",
+  "#10b981",
+  "#f59e0b",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+  "#84cc16",
+  "#f43f5e",
+];
+const THEME_FIXED_COLORS = {
+  land_use: {
+    residential: "#facc15",
+    commercial: "#ef4444",
+    green_space: "#22c55e",
+    utility: "#8b5cf6",
+  },
+  status: { available: "#22c55e", reserved: "#f59e0b", sold: "#ef4444" },
+  compliance: { pass: "#22c55e", fail: "#ef4444" },
+};
+const THEME_NO_VALUE = "#9ca3af";
+
+// Ngưỡng chia lớp (k-1 ngưỡng trong, tăng dần); lớp i = v <= breaks[i]
+function classBreaks(values, k, method, manual = "") {
+  if (method === "manual") {
+    const nums = String(manual)
+      .split(/[\s,;]+/)
+      .map(Number)
+      .filter((x) => Number.isFinite(x));
+    return [...new Set(nums)].sort((a, b) => a - b);
+  }
+  const sorted = values.filter((x) => Number.isFinite(x)).sort((a, b) => a - b);
+  const n = sorted.length;
+  k = Math.max(1, Math.min(THEME_RAMP.length, Math.round(k) || 1));
+  if (!n || k < 2 || sorted[0] === sorted[n - 1]) return [];
+  const out = [];
+  for (let i = 1; i < k; i++) {
+    const b =
+      method === "quantile"
+        ? sorted[Math.max(0, Math.ceil((i * n) / k) - 1)]
+        : sorted[0] + ((sorted[n - 1] - sorted[0]) * i) / k;
+    if (!out.length || b > out[out.length - 1]) out.push(b);
+  }
+  return out;
+}
+
+function classIndex(v, breaks) {
+  const i = breaks.findIndex((b) => v <= b);
+  return i < 0 ? breaks.length : i;
+}
+
+// Màu cho từng lô + legend. values: giá trị thô song song với lots
+// (số cho "area", key/null cho các thuộc tính phân loại)
+function buildLotTheme(values, theme) {
+  const attr = theme?.attribute || "none";
+  if (attr === "none") return { colors: values.map(() => null), legend: [] };
+
+  if (attr === "area") {
+    const breaks = classBreaks(
+      values,
+      theme.classes,
+      theme.method,
+      theme.manual
+    );
+    const nCls = Math.min(breaks.length + 1, THEME_RAMP.length);
+    // rải màu trên ramp để ít lớp vẫn tương phản
+    const colorOf = (i) =>
+      THEME_RAMP[
+        nCls < 2 ? 0 : Math.round((i * (THEME_RAMP.length - 1)) / (nCls - 1))
+      ];
+    const fmt = (x) => (Math.abs(x) >= 100 ? x.toFixed(0) : x.toFixed(1));
+    const idx = values.map((v) =>
+      Number.isFinite(v) ? Math.min(classIndex(v, breaks), nCls - 1) : -1
+    );
+    const legend = [];
+    for (let i = 0; i < nCls; i++) {
+      const label =
+        nCls === 1
+          ? "All lots"
+          : i === 0
+          ? `≤ ${fmt(breaks[0])} m²`
+          : i === nCls - 1
+          ? `> ${fmt(breaks[i - 1])} m²`
+          : `${fmt(breaks[i - 1])} – ${fmt(breaks[i])} m²`;
+      legend.push({
+        key: String(i),
+        label,
+        color: colorOf(i),
+        count: idx.filter((x) => x === i).length,
+      });
+    }
+    return { colors: idx.map((i) => (i < 0 ? null : colorOf(i))), legend };
+  }
+
+  // phân loại: giữ thứ tự khai báo nếu có bảng màu cố định, còn lại sort
+  const fixed = THEME_FIXED_COLORS[attr];
+  const keys = fixed
+    ? Object.keys(fixed)
+    : [...new Set(values.filter((v) => v != null))].sort();
+  const colorOf = (v) =>
+    v == null
+      ? THEME_NO_VALUE
+      : fixed
+      ? fixed[v] || THEME_NO_VALUE
+      : THEME_CATEGORICAL[keys.indexOf(v) % THEME_CATEGORICAL.length];
+  const labelOf = (v) =>
+    attr === "land_use"
+      ? LOT_LAND_USES[v] || v
+      : attr === "status"
+      ? LOT_STATUSES[v] || v
+      : attr === "compliance"
+      ? v === "pass"
+        ? "Pass"
+        : "Fail"
+      : v;
+  const legend = keys.map((v) => ({
+    key: v,
+    label: labelOf(v),
+    color: colorOf(v),
+    count: values.filter((x) => x === v).length,
+  }));
+  const missing = values.filter((x) => x == null).length;
+  if (missing)
+    legend.push({
+      key: "",
+      label:
+        attr === "front_road"
+          ? "No frontage"
+          : attr === "compliance"
+          ? "No rules"
+          : "Unassigned",
+      color: THEME_NO_VALUE,
+      count: missing,
+    });
+  return { colors: values.map(colorOf), legend };
+}
+
+// ---------- Zoning rules (quy chuẩn quy hoạch) ----------
+// Giá trị 0 / rỗng = tắt rule tương ứng
+const DEFAULT_ZONING_RULES = {
+  name: "Default",
+  minLotArea: 40, // m²
+  minFrontage: 4, // m, chiều dài cạnh giáp front road
+  maxDepthRatio: 5, // chiều sâu (vuông góc mặt tiền) / bề ngang lô dọc hướng mặt tiền
+  minRoadWidth: 4, // m, áp cho cả internal & public road
+};
+const ZONING_RULE_LABELS = {
+  min_lot_area: "area",
+  min_frontage: "frontage",
+  max_depth_ratio: "depth/width",
+  min_road_width: "road width",
+};
+
+// Chiều dài mặt tiền: phần cạnh lô chồng lên road roadId
+function lotFrontageLength(poly, roadId, ctx, tolUnits = 0) {
+  if (!roadId) return 0;
+  return sharedEdgeLength(
+    edgesFromPolygon(stripClosingDuplicate(poly || []), true),
+    roadFrontSegs(roadId, ctx),
+    Math.max(tolUnits, CLIP_TOL)
+  );
+}
+
+/**
+ * Chiều sâu lô đo vuông góc với cạnh mặt tiền chính (cạnh front dài nhất;
+ * lô không có road → cạnh dài nhất), dùng chung cho zoning, lot schedule và kích thước tự động.
+ * Trả về { depth, width, edgeIndex, from, to } — from → to: chân vuông góc trên
+ * đường mặt tiền → đỉnh xa nhất; width = bề ngang lô đo dọc hướng mặt tiền
+ * (không phải phần giáp road, để lô chỉ giáp road 1 đoạn không bị thổi phồng tỉ lệ sâu/rộng).
+ */
+function lotDepthInfo(poly, roadId, ctx, tolUnits = 0) {
+  const ring = toCCW(stripClosingDuplicate(poly || []));
+  if (ring.length < 3) return null;
+  const edges = edgesFromPolygon(ring, true);
+  const kinds = roadId ? classifyLotEdges(ring, roadId, ctx, tolUnits) : [];
+  const longest = (ok) =>
+    edges.reduce(
+      (best, e, i) =>
+        ok(i) && (best < 0 || distance(...e) > distance(...edges[best]))
+          ? i
+          : best,
+      -1
+    );
+  let edgeIndex = longest((i) => kinds[i] === "front");
+  if (edgeIndex < 0) edgeIndex = longest(() => true);
+  const [a, b] = edges[edgeIndex];
+  const { d, n } = normDirFromEdge(a, b);
+  let to = a,
+    depth = 0,
+    minS = Infinity,
+    maxS = -Infinity;
+  for (const p of ring) {
+    const v = [p[0] - a[0], p[1] - a[1]];
+    const t = Math.abs(_dot(v, n));
+    if (t > depth) {
+      depth = t;
+      to = p;
+    }
+    minS = Math.min(minS, _dot(v, d));
+    maxS = Math.max(maxS, _dot(v, d));
+  }
+  const s = _dot([to[0] - a[0], to[1] - a[1]], d);
+  return {
+    depth,
+    width: maxS - minS,
+    edgeIndex,
+    from: [a[0] + d[0] * s, a[1] + d[1] * s],
+    to,
+  };
+}
+
+/**
+ * Kiểm tra rule-set trên toàn phương án.
+ * plan: { boundary, boundaryClosed, publicRoads, internalRoads, lots }
+ * Trả về { lots: [{ lot_id, front_road, checks, pass }], roads: [...], pass }
+ * mỗi check: { rule, value, limit, pass }
+ */
+function evaluateZoning(plan, rules = {}, tolUnits = 0) {
+  const {
+    boundary = [],
+    boundaryClosed = false,
+    publicRoads = [],
+    internalRoads = [],
+    lots = [],
+    frontageRule,
+  } = plan || {};
+  const ctx = {
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+  };
+  const on = (k) => Number(rules[k]) > 0;
+  const num = (v) => (Number.isFinite(v) ? Number(v.toFixed(2)) : null);
+  const check = (rule, value, limit, pass) => ({
+    rule,
+    value: num(value),
+    limit: Number(limit),
+    pass,
+  });
+
+  const lotResults = lots.map((l) => {
+    const ring = stripClosingDuplicate(l.polygon || []);
+    const front = computeFrontRoadForLot(ring, ctx, tolUnits);
+    const checks = [];
+    if (on("minLotArea")) {
+      const area = ring.length >= 3 ? shoelaceArea(ring) : 0;
+      checks.push(
+        check(
+          "min_lot_area",
+          area,
+          rules.minLotArea,
+          area >= rules.minLotArea - EPS
+        )
+      );
+    }
+    if (on("minFrontage")) {
+      const len = lotFrontageLength(ring, front, ctx, tolUnits);
+      checks.push(
+        check(
+          "min_frontage",
+          len,
+          rules.minFrontage,
+          len >= rules.minFrontage - EPS
+        )
+      );
+    }
+    if (on("maxDepthRatio")) {
+      const info = lotDepthInfo(ring, front, ctx, tolUnits);
+      const ratio =
+        info && info.width > EPS ? info.depth / info.width : Infinity;
+      checks.push(
+        check(
+          "max_depth_ratio",
+          ratio,
+          rules.maxDepthRatio,
+          ratio <= rules.maxDepthRatio + EPS
+        )
+      );
+    }
+    return {
+      lot_id: l.lot_id,
+      front_road: front,
+      checks,
+      pass: checks.every((c) => c.pass),
+    };
+  });
+
+  const roadResults = [...internalRoads, ...publicRoads].map((r) => {
+    const w = Number(r.width) || 0;
+    const checks = on("minRoadWidth")
+      ? [
+          check(
+            "min_road_width",
+            w,
+            rules.minRoadWidth,
+            w >= rules.minRoadWidth - EPS
+          ),
+        ]
+      : [];
+    return {
+      road_id: r.road_id,
+      is_public: !!r.is_public,
+      checks,
+      pass: checks.every((c) => c.pass),
+    };
+  });
+
+  return {
+    lots: lotResults,
+    roads: roadResults,
+    pass: [...lotResults, ...roadResults].every((x) => x.pass),
+  };
+}
+
+// ---------- Land-use budget (cân bằng sử dụng đất) ----------
+const LAND_BUDGET_COMPONENTS = {
+  lots: "Lots (residential + commercial)",
+  internal_roads: "Internal roads",
+  green_space: "Green space",
+  utility: "Utilities",
+};
+
+// Các thành phần của bảng cân bằng đất (polygon mở + nhóm + diện tích)
+function landUseParts(plan) {
+  const { internalRoads = [], lots = [] } = plan || {};
+  return [
+    ...internalRoads.map((r) => ({
+      key: "internal_roads",
+      poly: stripClosingDuplicate(r.polygon || []),
+    })),
+    ...lots.map((l) => {
+      const use = l.land_use ?? "residential";
+      return {
+        key: use in LAND_BUDGET_COMPONENTS ? use : "lots",
+        poly: stripClosingDuplicate(l.polygon || []),
+      };
+    }),
+  ]
+    .filter((p) => p.poly.length >= 3)
+    .map((p) => ({ ...p, area: shoelaceArea(p.poly) }));
+}
+
+/**
+ * Diện tích thực sự được phủ (hợp mọi thành phần ∩ boundary) + chồng lấn / phần ngoài boundary
+ * cộng theo từng cặp / từng thành phần (chỉ để cảnh báo). Boolean polygon → tốn kém,
+ * không nên chạy mỗi lần mousemove.
+ * Trả về { covered_area, parts_area (tổng thành phần lúc tính), overlap_area, outside_area } (m²).
+ */
+function landUseConflicts(plan, opts = {}) {
+  const minArea = opts.minArea ?? 0.01;
+  const { boundary = [], boundaryClosed = false } = plan || {};
+  const ring = stripClosingDuplicate(boundary);
+  const parts = landUseParts(plan).map((p) => ({
+    ...p,
+    bbox: polygonBBox(p.poly),
+  }));
+  const areaOf = (r) => r.polygons.reduce((s, q) => s + shoelaceArea(q), 0);
+  let overlap = 0;
+  for (let i = 0; i < parts.length; i++)
+    for (let j = i + 1; j < parts.length; j++) {
+      if (!bboxesNear(parts[i].bbox, parts[j].bbox)) continue;
+      const a = areaOf(
+        polygonBoolean(parts[i].poly, parts[j].poly, "intersection")
+      );
+      if (a > minArea) overlap += a;
+    }
+  let outside = 0;
+  if (boundaryClosed && ring.length >= 3)
+    for (const p of parts) {
+      const a = areaOf(polygonBoolean(p.poly, ring, "difference"));
+      if (a > minArea) outside += a;
+    }
+  const inParts = (p) => parts.some((q) => pointInPolygon(p, q.poly));
+  const covered =
+    boundaryClosed && ring.length >= 3
+      ? regionBoolean(
+          [ring, ...parts.map((p) => p.poly)],
+          (p) => pointInPolygon(p, ring) && inParts(p)
+        )
+      : regionBoolean(
+          parts.map((p) => p.poly),
+          inParts
+        );
+  return {
+    covered_area: regionArea(covered),
+    parts_area: parts.reduce((s, p) => s + p.area, 0),
+    overlap_area: overlap,
+    outside_area: outside,
+  };
+}
+
+/**
+ * Bảng cân bằng đất: diện tích + % theo boundary cho lô (ở/thương mại), internal road,
+ * lô green_space / utility, và phần chưa phân bổ = boundary − diện tích thực sự được phủ.
+ * conflicts: kết quả landUseConflicts (bỏ qua → coi như không chồng lấn). Nếu conflicts là
+ * của lần tính trước (đang kéo), phần tổng diện tích đổi từ lúc đó được cộng thêm vào phần phủ.
+ * Trả về { boundary_area, components: [{ key, label, count, area, percent }],
+ *          unallocated: { area, percent }, overlap_area, outside_area, warnings: [] }
+ */
+function landUseBudget(plan, conflicts = null, opts = {}) {
+  const minArea = opts.minArea ?? 0.01;
+  const { boundary = [], boundaryClosed = false } = plan || {};
+  const ring = stripClosingDuplicate(boundary);
+  const hasBoundary = boundaryClosed && ring.length >= 3;
+  const B = hasBoundary ? shoelaceArea(ring) : 0;
+  const r2 = (v) => Number(v.toFixed(2));
+  const pct = (a) => (B > 0 ? Number(((a / B) * 100).toFixed(2)) : null);
+
+  const parts = landUseParts(plan);
+  const components = Object.entries(LAND_BUDGET_COMPONENTS).map(
+    ([key, label]) => {
+      const mine = parts.filter((p) => p.key === key);
+      const area = mine.reduce((s, p) => s + p.area, 0);
+      return {
+        key,
+        label,
+        count: mine.length,
+        area: r2(area),
+        percent: pct(area),
+      };
+    }
+  );
+  const total = parts.reduce((s, p) => s + p.area, 0);
+  const overlap = conflicts?.overlap_area ?? 0;
+  const outside = hasBoundary ? conflicts?.outside_area ?? 0 : 0;
+
+  const covered = conflicts
+    ? conflicts.covered_area + (total - conflicts.parts_area)
+    : total;
+  const remainder = B - covered;
+  const warnings = [];
+  if (!hasBoundary) warnings.push("Boundary chưa đóng — không tính được %");
+  if (overlap > minArea)
+    warnings.push(`Các thành phần chồng lấn nhau ${overlap.toFixed(2)} m²`);
+  if (outside > minArea)
+    warnings.push(`${outside.toFixed(2)} m² nằm ngoài boundary`);
+  if (hasBoundary && total - B > minArea)
+    warnings.push(`Tổng thành phần vượt boundary ${(total - B).toFixed(2)} m²`);
+
+  return {
+    boundary_area: r2(B),
+    components,
+    unallocated: { area: r2(remainder), percent: pct(remainder) },
+    overlap_area: r2(overlap),
+    outside_area: r2(outside),
+    warnings,
+  };
+}
+
+// ---------- Road centerline → polygon (offset / buffer) ----------
+const MITER_LIMIT = 4; // miter dài quá 4×(w/2) → chuyển sang chamfer
+const ARC_STEP = Math.PI / 12; // 15° mỗi đoạn khi xấp xỉ cung tròn
+
+// Các điểm trên cung tròn tâm c bán kính r từ góc a0 tới a1, đi theo chiều sign (+1 CCW, -1 CW)
+function arcPoints(c, r, a0, a1, sign) {
+  let sweep = sign > 0 ? a1 - a0 : a0 - a1;
+  while (sweep < 0) sweep += 2 * Math.PI;
+  const steps = Math.max(1, Math.ceil(sweep / ARC_STEP));
+  const pts = [];
+  for (let k = 0; k <= steps; k++) {
+    const a = a0 + (sign * sweep * k) / steps;
+    pts.push([c[0] + r * Math.cos(a), c[1] + r * Math.sin(a)]);
+  }
+  return pts;
+}
+
+/**
+ * Offset 1 phía của centerline (side = +1: trái, -1: phải theo hướng vẽ).
+ * Góc ngoài dùng join (miter|round|chamfer), góc trong dùng giao điểm 2 đoạn offset;
+ * giao điểm rơi ra ngoài 1 trong 2 đoạn (đoạn ngắn, rẽ gắt kiểu kẹp tóc) → vát góc.
+ */
+function offsetPolylineSide(pts, h, side, join) {
+  const out = [];
+  const nrm = (a, b) => {
+    const { d } = normDirFromEdge(a, b);
+    return { d, n: [-d[1] * side, d[0] * side] };
+  };
+  const first = nrm(pts[0], pts[1]);
+  out.push([pts[0][0] + first.n[0] * h, pts[0][1] + first.n[1] * h]);
+  for (let i = 1; i < pts.length - 1; i++) {
+    const v = pts[i];
+    const e1 = nrm(pts[i - 1], v);
+    const e2 = nrm(v, pts[i + 1]);
+    const turn = e1.d[0] * e2.d[1] - e1.d[1] * e2.d[0]; // > 0: rẽ trái
+    const p1 = [v[0] + e1.n[0] * h, v[1] + e1.n[1] * h];
+    const p2 = [v[0] + e2.n[0] * h, v[1] + e2.n[1] * h];
+    if (Math.abs(turn) < 1e-9) {
+      out.push(p1);
+      continue;
+    }
+    const bis = [e1.n[0] + e2.n[0], e1.n[1] + e2.n[1]];
+    const bl = Math.hypot(bis[0], bis[1]);
+    const cosHalf = bl / 2; // cos(θ/2) giữa 2 pháp tuyến
+    const miter =
+      bl > 1e-9
+        ? [
+            v[0] + (bis[0] / bl) * (h / cosHalf),
+            v[1] + (bis[1] / bl) * (h / cosHalf),
+          ]
+        : null;
+    const outer = turn * side < 0; // phía này là góc ngoài
+    if (!outer) {
+      // giao điểm lùi h·tan(θ/2) về mỗi phía tính từ p1/p2
+      const back =
+        (h * Math.sqrt(Math.max(0, 1 - cosHalf * cosHalf))) / cosHalf;
+      const fits =
+        miter &&
+        back <= distance(pts[i - 1], v) &&
+        back <= distance(v, pts[i + 1]);
+      if (fits) out.push(miter);
+      else out.push(p1, p2);
+    } else if (join === "round") {
+      const a0 = Math.atan2(e1.n[1], e1.n[0]);
+      const a1 = Math.atan2(e2.n[1], e2.n[0]);
+      out.push(...arcPoints(v, h, a0, a1, turn > 0 ? 1 : -1));
+    } else if (join === "miter" && miter && 1 / cosHalf <= MITER_LIMIT) {
+      out.push(miter);
+    } else {
+      out.push(p1, p2); // chamfer (vát góc)
+    }
+  }
+  const last = nrm(pts[pts.length - 2], pts[pts.length - 1]);
+  const e = pts[pts.length - 1];
+  out.push([e[0] + last.n[0] * h, e[1] + last.n[1] * h]);
+  return out;
+}
+
+/**
+ * Sinh polygon đường từ centerline.
+ * opts: { join: "miter"|"round"|"chamfer", capStart/capEnd: "square"|"culdesac", bulbRadius }
+ * - square: cắt vuông góc tại đầu mút
+ * - culdesac: bulb tròn tâm tại đầu mút đã vẽ, bán kính bulbRadius (≥ w/2); 2 mép đường
+ *   dừng tại chỗ gặp vòng tròn (lùi √(R²−(w/2)²) so với đầu mút)
+ */
+function bufferCenterline(centerline, width, opts = {}) {
+  const pts = [];
+  for (const p of centerline || [])
+    if (!pts.length || !ptsEqual(pts[pts.length - 1], p, 1e-6)) pts.push(p);
+  const h = Number(width) / 2;
+  if (pts.length < 2 || !(h > 0)) return [];
+  const join = opts.join || "miter";
+  const left = offsetPolylineSide(pts, h, 1, join);
+  const right = offsetPolylineSide(pts, h, -1, join);
+
+  const R = Math.max(Number(opts.bulbRadius) || 0, h);
+  // kéo 2 điểm mép (ngay tại đầu mút) lùi về chỗ gặp bulb; đoạn cuối ngắn hơn → chỉ lùi hết đoạn
+  const bulbBack = (segLen) =>
+    Math.min(Math.sqrt(Math.max(0, R * R - h * h)), segLen);
+  const retreat = (p, dir, back) => [
+    p[0] - dir[0] * back,
+    p[1] - dir[1] * back,
+  ];
+  const cap = (c, from, to, kind, onCircle) => {
+    if (kind !== "culdesac") return [];
+    const a0 = Math.atan2(from[1] - c[1], from[0] - c[0]);
+    const a1 = Math.atan2(to[1] - c[1], to[0] - c[0]);
+    // đi vòng qua phía trước (hướng ra ngoài): trái → phải là chiều kim đồng hồ (CW) trong hệ toạ độ toán
+    const arc = arcPoints(c, R, a0, a1, -1);
+    return onCircle ? arc.slice(1, -1) : arc;
+  };
+
+  const n = pts.length;
+  const dEnd = normDirFromEdge(pts[n - 2], pts[n - 1]).d;
+  const dStart = normDirFromEdge(pts[1], pts[0]).d; // hướng ra ngoài ở đầu
+  const lenEnd = distance(pts[n - 2], pts[n - 1]);
+  const lenStart = distance(pts[0], pts[1]);
+  if (opts.capEnd === "culdesac") {
+    const back = bulbBack(lenEnd);
+    left[left.length - 1] = retreat(left[left.length - 1], dEnd, back);
+    right[right.length - 1] = retreat(right[right.length - 1], dEnd, back);
+  }
+  if (opts.capStart === "culdesac") {
+    const back = bulbBack(lenStart);
+    left[0] = retreat(left[0], dStart, back);
+    right[0] = retreat(right[0], dStart, back);
+  }
+  const fullBack = Math.sqrt(Math.max(0, R * R - h * h));
+  const poly = [
+    ...left,
+    ...cap(
+      pts[n - 1],
+      left[left.length - 1],
+      right[right.length - 1],
+      opts.capEnd,
+      fullBack <= lenEnd
+    ),
+    ...right.reverse(),
+    ...cap(
+      pts[0],
+      right[right.length - 1],
+      left[0],
+      opts.capStart,
+      fullBack <= lenStart
+    ),
+  ];
+  return roundPoly(poly);
+}
+
+// Polygon của internal road vẽ theo centerline (r.centerline + r.width + kiểu join/cap)
+function roadPolygonFromCenterline(r) {
+  return bufferCenterline(r.centerline, r.width, {
+    join: r.join,
+    capStart: r.cap_start,
+    capEnd: r.cap_end,
+    bulbRadius: r.bulb_radius,
+  });
+}
+
+// ---------- Import JSON (schema do exportJSON tạo ra) ----------
+function parsePointField(v, path, errors) {
+  if (
+    !Array.isArray(v) ||
+    v.length < 2 ||
+    !Number.isFinite(v[0]) ||
+    !Number.isFinite(v[1])
+  ) {
+    errors.push(`${path}: cần cặp số [x, y], nhận ${JSON.stringify(v)}`);
+    return null;
+  }
+  return [v[0], v[1]];
+}
+function parsePointListField(v, path, errors) {
+  if (!Array.isArray(v)) {
+    errors.push(`${path}: cần mảng các điểm [x, y]`);
+    return null;
+  }
+  const pts = [];
+  let ok = true;
+  v.forEach((p, i) => {
+    const q = parsePointField(p, `${path}[${i}]`, errors);
+    if (q) pts.push(q);
+    else ok = false;
+  });
+  return ok ? pts : null;
+}
+function parsePolygonField(v, path, errors, minPts = 3) {
+  const pts = parsePointListField(v, path, errors);
+  if (!pts) return null;
+  // export đã đóng vòng bằng ensureClosedLoop → bỏ đỉnh trùng cuối
+  const open = stripClosingDuplicate(pts);
+  if (open.length < minPts) {
+    errors.push(`${path}: cần tối thiểu ${minPts} đỉnh, có ${open.length}`);
+    return null;
+  }
+  return open;
+}
+function parseWidthField(v, path, errors) {
+  if (v === undefined || v === null) return null;
+  const w = Number(v);
+  if (!Number.isFinite(w) || w < 0) {
+    errors.push(`${path}: width phải là số ≥ 0, nhận ${JSON.stringify(v)}`);
+    return null;
+  }
+  return w;
+}
+
+/**
+ * Đọc lại document do exportJSON sinh ra.
+ * Trả về { data, errors } — data = null nếu có bất kỳ lỗi nào.
+ * data: { landId, boundary, boundaryClosed, publicRoads, internalRoads, lots }
+ */
+function parseSubdivisionDoc(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return { data: null, errors: ["(root): cần object JSON"] };
+  }
+  const input = doc.input;
+  const output = doc.output;
+  if (!input || typeof input !== "object") errors.push("input: thiếu object");
+  if (!output || typeof output !== "object")
+    errors.push("output: thiếu object");
+  if (errors.length) return { data: null, errors };
+
+  const landId =
+    typeof input.land_id === "string" && input.land_id.trim()
+      ? input.land_id.trim()
+      : null;
+  if (!landId) errors.push("input.land_id: cần chuỗi không rỗng");
+
+  // boundary rỗng là hợp lệ (export khi chưa vẽ ranh)
+  const boundary =
+    Array.isArray(input.boundary) && input.boundary.length === 0
+      ? []
+      : parsePolygonField(input.boundary, "input.boundary", errors) || [];
+
+  const ids = new Set();
+  const checkId = (id, path) => {
+    if (typeof id !== "string" || !id.trim()) {
+      errors.push(`${path}: cần chuỗi không rỗng`);
+      return false;
+    }
+    if (ids.has(id)) {
+      errors.push(`${path}: trùng id "${id}"`);
+      return false;
+    }
+    ids.add(id);
+    return true;
+  };
+
+  const publicRoads = [];
+  if (!Array.isArray(input.roads)) {
+    errors.push("input.roads: cần mảng");
+  } else {
+    input.roads.forEach((r, i) => {
+      const path = `input.roads[${i}]`;
+      if (!r || typeof r !== "object") {
+        errors.push(`${path}: cần object`);
+        return;
+      }
+      checkId(r.road_id, `${path}.road_id`);
+      const width = parseWidthField(r.width, `${path}.width`, errors);
+      const eps = parsePointListField(
+        r.entry_points,
+        `${path}.entry_points`,
+        errors
+      );
+      publicRoads.push({
+        road_id: r.road_id,
+        is_public: true,
+        width: width ?? 0,
+        entry_points: eps || [],
+        connected_to_public_road: null,
+        road_to_lot_mapping: [],
+      });
+    });
+  }
+
+  const internalRoads = [];
+  if (!Array.isArray(output.internal_roads)) {
+    errors.push("output.internal_roads: cần mảng");
+  } else {
+    output.internal_roads.forEach((r, i) => {
+      const path = `output.internal_roads[${i}]`;
+      if (!r || typeof r !== "object") {
+        errors.push(`${path}: cần object`);
+        return;
+      }
+      checkId(r.road_id, `${path}.road_id`);
+      const width = parseWidthField(r.width, `${path}.width`, errors);
+      const poly = parsePolygonField(r.polygon, `${path}.polygon`, errors);
+      // đường vẽ theo tim: centerline là polyline hở (≥ 2 điểm)
+      let centerline = null;
+      if (r.centerline != null) {
+        centerline = parsePointListField(
+          r.centerline,
+          `${path}.centerline`,
+          errors
+        );
+        if (centerline && centerline.length < 2) {
+          errors.push(`${path}.centerline: cần tối thiểu 2 điểm`);
+          centerline = null;
+        }
+      }
+      internalRoads.push({
+        road_id: r.road_id,
+        polygon: poly || [],
+        is_public: false,
+        width: width ?? 0,
+        connected_to_public_road: r.connected_to_public_road ?? true,
+        road_to_lot_mapping: [],
+        ...(centerline
+          ? {
+              centerline,
+              join: ["miter", "round", "chamfer"].includes(r.join)
+                ? r.join
+                : "miter",
+              cap_start: r.cap_start === "culdesac" ? "culdesac" : "square",
+              cap_end: r.cap_end === "culdesac" ? "culdesac" : "square",
+              bulb_radius: Number(r.bulb_radius) || 0,
+            }
+          : {}),
+      });
+    });
+  }
+
+  const lots = [];
+  if (!Array.isArray(output.lots)) {
+    errors.push("output.lots: cần mảng");
+  } else {
+    output.lots.forEach((l, i) => {
+      const path = `output.lots[${i}]`;
+      if (!l || typeof l !== "object") {
+        errors.push(`${path}: cần object`);
+        return;
+      }
+      checkId(l.lot_id, `${path}.lot_id`);
+      const poly = parsePolygonField(l.polygon, `${path}.polygon`, errors);
+      if (
+        l.front_road != null &&
+        !publicRoads.some((r) => r.road_id === l.front_road) &&
+        !internalRoads.some((r) => r.road_id === l.front_road)
+      ) {
+        errors.push(
+          `${path}.front_road: "${l.front_road}" không khớp road_id nào`
+        );
+      }
+      if (l.land_use != null && !(l.land_use in LOT_LAND_USES))
+        errors.push(
+          `${path}.land_use: cần một trong ${Object.keys(LOT_LAND_USES).join(
+            ", "
+          )}`
+        );
+      if (l.status != null && !(l.status in LOT_STATUSES))
+        errors.push(
+          `${path}.status: cần một trong ${Object.keys(LOT_STATUSES).join(
+            ", "
+          )}`
+        );
+      if (
+        l.price_per_m2 != null &&
+        !(Number.isFinite(l.price_per_m2) && l.price_per_m2 >= 0)
+      )
+        errors.push(`${path}.price_per_m2: cần số ≥ 0 hoặc null`);
+      const custom = l.custom_fields ?? {};
+      if (
+        typeof custom !== "object" ||
+        Array.isArray(custom) ||
+        Object.values(custom).some(
+          (v) => typeof v !== "string" && typeof v !== "number"
+        )
+      )
+        errors.push(`${path}.custom_fields: cần object { key: chuỗi | số }`);
+      lots.push({
+        lot_id: l.lot_id,
+        polygon: poly || [],
+        front_road: l.front_road ?? null,
+        ...(l.remainder === true ? { remainder: true } : {}),
+        land_use: l.land_use ?? "residential",
+        price_per_m2: l.price_per_m2 ?? null,
+        status: l.status ?? "available",
+        custom_fields: { ...custom },
+      });
+    });
+  }
+
+  const annotations = parseAnnotationsField(
+    output.annotations,
+    "output.annotations",
+    errors
+  );
+
+  if (errors.length) return { data: null, errors };
+  return {
+    data: {
+      landId,
+      boundary,
+      boundaryClosed: boundary.length >= 3,
+      publicRoads,
+      internalRoads,
+      lots,
+      annotations,
+    },
+    errors: [],
+  };
+}
+
+// ---------- GeoJSON (toạ độ thực theo CRS phẳng, đơn vị mét) ----------
+// crs: { name: "EPSG:xxxx" | "", originE, originN, scale (m / đơn vị canvas), flipY }
+// canvas (0,0) ↔ (originE, originN); flipY vì trục y canvas hướng xuống, N hướng lên
+const DEFAULT_GEO_CRS = {
+  name: "",
+  originE: 0,
+  originN: 0,
+  scale: 1,
+  flipY: true,
+};
+
+function makeCrsTransform(crs = DEFAULT_GEO_CRS) {
+  const s = Number(crs.scale) > 0 ? Number(crs.scale) : 1;
+  const e0 = Number(crs.originE) || 0;
+  const n0 = Number(crs.originN) || 0;
+  const fy = crs.flipY ? -1 : 1;
+  return {
+    scale: s,
+    toWorld: ([x, y]) => [
+      Number((e0 + x * s).toFixed(3)),
+      Number((n0 + fy * y * s).toFixed(3)),
+    ],
+    toLocal: ([e, n]) => [
+      Number(((e - e0) / s).toFixed(2)),
+      Number(((fy * (n - n0)) / s).toFixed(2)),
+    ],
+  };
+}
+
+// Ring GeoJSON: đóng vòng, vòng ngoài CCW (RFC 7946) trong hệ toạ độ thực
+function geoRing(poly, tf) {
+  const world = toCCW(stripClosingDuplicate(poly).map(tf.toWorld));
+  return ensureClosedLoop(world);
+}
+
+/**
+ * FeatureCollection: boundary, public roads (LineString theo entry points),
+ * internal roads và lots (Polygon). Diện tích / bề rộng quy ra mét theo crs.scale.
+ */
+function buildGeoJSON(plan, crs = DEFAULT_GEO_CRS, tolUnits = 0) {
+  const {
+    landId,
+    boundary = [],
+    boundaryClosed = false,
+    publicRoads = [],
+    internalRoads = [],
+    lots = [],
+    frontageRule,
+  } = plan || {};
+  const tf = makeCrsTransform(crs);
+  const s2 = tf.scale * tf.scale;
+  const area = (poly) => Number((shoelaceArea(poly) * s2).toFixed(2));
+  const w = (v) => Number(((Number(v) || 0) * tf.scale).toFixed(3));
+  const ctx = {
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+  };
+  const polygon = (poly) => ({
+    type: "Polygon",
+    coordinates: [geoRing(poly, tf)],
+  });
+
+  const features = [];
+  if (boundaryClosed && boundary.length >= 3)
+    features.push({
+      type: "Feature",
+      properties: { kind: "boundary", land_id: landId, area: area(boundary) },
+      geometry: polygon(boundary),
+    });
+  for (const r of publicRoads) {
+    if (r.entry_points.length < 2) continue;
+    features.push({
+      type: "Feature",
+      properties: {
+        kind: "public_road",
+        road_id: r.road_id,
+        is_public: true,
+        width: w(r.width),
+      },
+      geometry: {
+        type: "LineString",
+        coordinates: r.entry_points.map(tf.toWorld),
+      },
+    });
+  }
+  for (const r of internalRoads) {
+    if (r.polygon.length < 3) continue;
+    features.push({
+      type: "Feature",
+      properties: {
+        kind: "internal_road",
+        road_id: r.road_id,
+        is_public: false,
+        width: w(r.width),
+        area: area(r.polygon),
+      },
+      geometry: polygon(r.polygon),
+    });
+  }
+  for (const l of lots) {
+    if (l.polygon.length < 3) continue;
+    features.push({
+      type: "Feature",
+      properties: {
+        kind: "lot",
+        lot_id: l.lot_id,
+        area: area(l.polygon),
+        front_road: computeFrontRoadForLot(l.polygon, ctx, tolUnits),
+        ...(l.remainder ? { remainder: true } : {}),
+      },
+      geometry: polygon(l.polygon),
+    });
+  }
+
+  return {
+    type: "FeatureCollection",
+    name: landId,
+    // "crs" kiểu GeoJSON 2008: RFC 7946 bỏ trường này nhưng QGIS/GDAL vẫn đọc
+    ...(crs.name
+      ? {
+          crs: {
+            type: "name",
+            properties: {
+              name: `urn:ogc:def:crs:${crs.name.replace(":", "::")}`,
+            },
+          },
+        }
+      : {}),
+    features,
+  };
+}
+
+const isGeoJSONDoc = (doc) =>
+  !!doc &&
+  typeof doc === "object" &&
+  [
+    "FeatureCollection",
+    "Feature",
+    "Polygon",
+    "MultiPolygon",
+    "LineString",
+    "MultiLineString",
+  ].includes(doc.type);
+
+/**
+ * Đọc GeoJSON → cùng dạng data như parseSubdivisionDoc.
+ * Polygon/MultiPolygon: kind "boundary" → ranh; "internal_road" hoặc có road_id → đường nội bộ; còn lại → lot.
+ * LineString/MultiLineString → public road (entry points). Lỗ (ring trong) bị bỏ qua kèm cảnh báo.
+ * Trả về { data, errors, warnings }.
+ */
+function parseGeoJSON(doc, crs = DEFAULT_GEO_CRS, fallbackLandId = "L001") {
+  const errors = [];
+  const warnings = [];
+  const tf = makeCrsTransform(crs);
+  const features =
+    doc.type === "FeatureCollection"
+      ? Array.isArray(doc.features)
+        ? doc.features
+        : (errors.push("features: cần mảng"), [])
+      : doc.type === "Feature"
+      ? [doc]
+      : [{ type: "Feature", properties: {}, geometry: doc }];
+
+  let boundary = [];
+  let landId = null;
+  const publicRoads = [];
+  const internalRoads = [];
+  const lots = [];
+  const ids = new Set();
+  const takeId = (id, make) => {
+    let v = typeof id === "string" && id.trim() ? id.trim() : null;
+    if (!v || ids.has(v)) {
+      let k = 1;
+      while (ids.has(make(k))) k++;
+      if (v) warnings.push(`id "${v}" bị trùng → đổi thành ${make(k)}`);
+      v = make(k);
+    }
+    ids.add(v);
+    return v;
+  };
+  const toLocalList = (coords, path) => {
+    const pts = parsePointListField(coords, path, errors);
+    return pts ? pts.map(tf.toLocal) : null;
+  };
+
+  const polys = []; // { ring, props, path }
+  const lines = [];
+  features.forEach((f, i) => {
+    const path = `features[${i}]`;
+    const g = f?.geometry;
+    const props = (f && f.properties) || {};
+    if (!g || typeof g !== "object") {
+      warnings.push(`${path}: không có geometry → bỏ qua`);
+      return;
+    }
+    const addPoly = (rings, p) => {
+      if (!Array.isArray(rings) || !rings.length) {
+        errors.push(`${p}: cần mảng ring`);
+        return;
+      }
+      if (rings.length > 1)
+        warnings.push(`${p}: bỏ qua ${rings.length - 1} lỗ`);
+      const pts = toLocalList(rings[0], `${p}[0]`);
+      if (!pts) return;
+      const ring = stripClosingDuplicate(pts);
+      if (ring.length < 3) errors.push(`${p}[0]: cần tối thiểu 3 đỉnh`);
+      else polys.push({ ring, props, path: p });
+    };
+    const addLine = (coords, p) => {
+      const pts = toLocalList(coords, p);
+      if (!pts) return;
+      if (pts.length < 2) errors.push(`${p}: cần tối thiểu 2 điểm`);
+      else lines.push({ pts, props });
+    };
+    const gp = `${path}.geometry.coordinates`;
+    if (g.type === "Polygon") addPoly(g.coordinates, gp);
+    else if (g.type === "MultiPolygon")
+      (g.coordinates || []).forEach((c, k) => addPoly(c, `${gp}[${k}]`));
+    else if (g.type === "LineString") addLine(g.coordinates, gp);
+    else if (g.type === "MultiLineString")
+      (g.coordinates || []).forEach((c, k) => addLine(c, `${gp}[${k}]`));
+    else warnings.push(`${path}: geometry ${g.type} không hỗ trợ → bỏ qua`);
+  });
+
+  // boundary trước để có landId cho id lô
+  for (const p of polys) {
+    if (p.props.kind !== "boundary") continue;
+    if (boundary.length) {
+      warnings.push(`${p.path}: đã có boundary → coi như lot`);
+      p.props = { ...p.props, kind: "lot" };
+      continue;
+    }
+    boundary = p.ring;
+    landId = p.props.land_id || null;
+  }
+  landId =
+    landId ||
+    (typeof doc.name === "string" && doc.name.trim()) ||
+    fallbackLandId;
+  if (!boundary.length)
+    warnings.push("Không có feature boundary (kind = boundary)");
+
+  const widthOf = (props) =>
+    Number(props.width) > 0 ? Number(props.width) / tf.scale : 0;
+  const roadId = (k) => `R${String(k).padStart(3, "0")}`;
+  for (const l of lines)
+    publicRoads.push({
+      road_id: takeId(l.props.road_id, roadId),
+      is_public: true,
+      width: Number(widthOf(l.props).toFixed(2)),
+      entry_points: l.pts,
+      connected_to_public_road: null,
+      road_to_lot_mapping: [],
+    });
+  const isRoad = (props) =>
+    props.kind === "internal_road" ||
+    (props.kind == null && props.road_id != null && props.lot_id == null);
+  for (const p of polys) {
+    if (p.props.kind === "boundary" || !isRoad(p.props)) continue;
+    internalRoads.push({
+      road_id: takeId(p.props.road_id, roadId),
+      polygon: p.ring,
+      is_public: false,
+      width: Number((widthOf(p.props) || estimateRoadWidth(p.ring)).toFixed(2)),
+      connected_to_public_road: true,
+      road_to_lot_mapping: [],
+    });
+  }
+  for (const p of polys) {
+    if (p.props.kind === "boundary" || isRoad(p.props)) continue;
+    lots.push({
+      lot_id: takeId(
+        p.props.lot_id,
+        (k) => `${landId}-${String(k).padStart(2, "0")}`
+      ),
+      polygon: p.ring,
+      front_road: null,
+      ...(p.props.remainder === true ? { remainder: true } : {}),
+    });
+  }
+
+  if (errors.length) return { data: null, errors, warnings };
+  return {
+    data: {
+      landId,
+      boundary,
+      boundaryClosed: boundary.length >= 3,
+      publicRoads,
+      internalRoads,
+      lots,
+    },
+    errors: [],
+    warnings,
+  };
+}
+
+// ---------- DXF (AutoCAD R12 ASCII) ----------
+// Layer xuất ra: tên → màu ACI. Trục y DXF hướng lên → lật dấu y của canvas.
+const DXF_LAYERS = {
+  BOUNDARY: 7,
+  INTERNAL_ROADS: 30,
+  LOTS: 5,
+  PUBLIC_ROAD_EP: 3,
+  LOT_LABELS: 1,
+  LOT_AREA: 8,
+};
+// $INSUNITS → số mét trên 1 đơn vị bản vẽ
+const DXF_INSUNITS_METERS = { 1: 0.0254, 2: 0.3048, 4: 0.001, 5: 0.01, 6: 1 };
+
+function dxfNum(v) {
+  return Number(v.toFixed(4)).toString();
+}
+
+/**
+ * Sinh file DXF (R12) cho phương án: polyline kín cho boundary / internal road / lot,
+ * POINT cho entry point public road, TEXT cho mã lô và diện tích ở tâm lô.
+ */
+function buildDXF(plan, textHeight = 1) {
+  const {
+    boundary = [],
+    boundaryClosed = false,
+    publicRoads = [],
+    internalRoads = [],
+    lots = [],
+  } = plan || {};
+  const out = [];
+  const put = (...pairs) => {
+    for (let k = 0; k < pairs.length; k += 2)
+      out.push(String(pairs[k]), String(pairs[k + 1]));
+  };
+  const xy = ([x, y]) => [10, dxfNum(x), 20, dxfNum(-y), 30, 0];
+  const polyline = (layer, pts, closed) => {
+    put(
+      0,
+      "POLYLINE",
+      8,
+      layer,
+      66,
+      1,
+      10,
+      0,
+      20,
+      0,
+      30,
+      0,
+      70,
+      closed ? 1 : 0
+    );
+    for (const p of pts) put(0, "VERTEX", 8, layer, ...xy(p));
+    put(0, "SEQEND", 8, layer);
+  };
+  const text = (layer, [x, y], str, dy = 0) => {
+    const p = xy([x, y + dy]);
+    put(
+      0,
+      "TEXT",
+      8,
+      layer,
+      ...p,
+      40,
+      dxfNum(textHeight),
+      1,
+      str,
+      72,
+      1,
+      73,
+      2
+    );
+    put(11, p[1], 21, p[3], 31, 0);
+  };
+
+  // $INSUNITS (6 = mét) không có trong chuẩn R12: reader R12 strict sẽ bỏ qua
+  // hoặc từ chối biến này; giữ lại để AutoCAD/LibreCAD bản mới và Import DXF
+  // của app nhận đúng đơn vị.
+  put(
+    0,
+    "SECTION",
+    2,
+    "HEADER",
+    9,
+    "$ACADVER",
+    1,
+    "AC1009",
+    9,
+    "$INSUNITS",
+    70,
+    6,
+    0,
+    "ENDSEC"
+  );
+  put(
+    0,
+    "SECTION",
+    2,
+    "TABLES",
+    0,
+    "TABLE",
+    2,
+    "LAYER",
+    70,
+    Object.keys(DXF_LAYERS).length
+  );
+  for (const [name, color] of Object.entries(DXF_LAYERS))
+    put(0, "LAYER", 2, name, 70, 0, 62, color, 6, "CONTINUOUS");
+  put(0, "ENDTAB", 0, "ENDSEC");
+
+  put(0, "SECTION", 2, "ENTITIES");
+  if (boundaryClosed && boundary.length >= 3)
+    polyline("BOUNDARY", boundary, true);
+  for (const r of internalRoads)
+    if (r.polygon.length >= 3) polyline("INTERNAL_ROADS", r.polygon, true);
+  for (const r of publicRoads)
+    for (const p of r.entry_points)
+      put(0, "POINT", 8, "PUBLIC_ROAD_EP", ...xy(p));
+  for (const l of lots) {
+    if (l.polygon.length < 3) continue;
+    polyline("LOTS", l.polygon, true);
+    const c = polygonCentroid(l.polygon);
+    text("LOT_LABELS", c, l.lot_id, -textHeight * 0.75);
+    text(
+      "LOT_AREA",
+      c,
+      `${shoelaceArea(l.polygon).toFixed(1)} m2`,
+      textHeight * 0.75
+    );
+  }
+  put(0, "ENDSEC", 0, "EOF");
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Đọc polyline từ DXF ASCII (LWPOLYLINE, POLYLINE + VERTEX).
+ * Trả về { polylines: [{ layer, points, closed }], layers: [{ name, count }], insunits, warnings }
+ * points giữ nguyên đơn vị bản vẽ, y đã lật về hướng canvas.
+ */
+function parseDXF(text) {
+  const lines = String(text).split(/\r?\n/);
+  const pairs = [];
+  for (let k = 0; k + 1 < lines.length; k += 2)
+    pairs.push([parseInt(lines[k].trim(), 10), lines[k + 1].trim()]);
+
+  const polylines = [];
+  const warnings = [];
+  let insunits = 0;
+  let section = null;
+  let cur = null; // entity đang đọc: { type, layer, flags, pts, x? }
+  let poly = null; // POLYLINE đang gom VERTEX
+  let bulges = 0;
+
+  const finish = () => {
+    if (!cur) return;
+    if (cur.type === "LWPOLYLINE")
+      polylines.push({
+        layer: cur.layer,
+        points: cur.pts,
+        closed: !!(cur.flags & 1),
+      });
+    else if (cur.type === "POLYLINE")
+      poly = { layer: cur.layer, points: [], closed: !!(cur.flags & 1) };
+    else if (cur.type === "VERTEX" && poly && cur.pts.length)
+      poly.points.push(cur.pts[0]);
+    else if (cur.type === "SEQEND" && poly) {
+      polylines.push(poly);
+      poly = null;
+    }
+    cur = null;
+  };
+
+  for (let k = 0; k < pairs.length; k++) {
+    const [code, val] = pairs[k];
+    if (code === 0) {
+      finish();
+      if (val === "SECTION") section = pairs[k + 1]?.[1] ?? null;
+      else if (val === "ENDSEC") section = null;
+      else if (section === "ENTITIES")
+        cur = { type: val, layer: "0", flags: 0, pts: [] };
+      continue;
+    }
+    if (section === "HEADER" && code === 9 && val === "$INSUNITS")
+      insunits = parseInt(pairs[k + 1]?.[1], 10) || 0;
+    if (!cur) continue;
+    if (code === 8) cur.layer = val;
+    else if (code === 70) cur.flags = parseInt(val, 10) || 0;
+    else if (code === 42 && Number(val)) bulges++;
+    else if (code === 10) cur.x = Number(val);
+    else if (code === 20 && cur.x != null) {
+      cur.pts.push([cur.x, -Number(val)]);
+      cur.x = null;
+    }
+  }
+  finish();
+  if (bulges)
+    warnings.push(`${bulges} đoạn cung (bulge) được nắn thành đoạn thẳng`);
+
+  const counts = new Map();
+  for (const p of polylines)
+    counts.set(p.layer, (counts.get(p.layer) || 0) + 1);
+  return {
+    polylines,
+    layers: [...counts].map(([name, count]) => ({ name, count })),
+    insunits,
+    warnings,
+  };
+}
+
+// Đoán đích nhập cho layer theo tên: boundary | internal | lots | "" (bỏ qua)
+function guessDxfTarget(layer) {
+  const n = layer.toUpperCase();
+  if (/BOUND|RANH/.test(n)) return "boundary";
+  if (/ROAD|DUONG|ĐƯỜNG/.test(n)) return "internal";
+  if (/LOT|THUA|THỬA|PARCEL/.test(n)) return "lots";
+  return "";
+}
+
+// ---------- Plan sheet (SVG khổ giấy, đúng tỉ lệ; đơn vị sheet = mm) ----------
+const SHEET_PAPERS = { A4: [210, 297], A3: [297, 420], A1: [594, 841] };
+const SHEET_SCALES = [100, 200, 250, 500, 1000, 2000, 2500, 5000];
+const DEFAULT_SHEET = {
+  paper: "A3",
+  orientation: "landscape",
+  scale: 500,
+  author: "",
+};
+const SHEET_MARGIN = 10; // mm, khung viền
+const SHEET_TITLE_H = 36; // mm, khung tên
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Khổ giấy → khung bản vẽ (trái) + cột thông tin (phải), đơn vị mm
+function sheetLayout(opts) {
+  const [a, b] = SHEET_PAPERS[opts.paper] || SHEET_PAPERS.A3;
+  const [W, H] = opts.orientation === "portrait" ? [a, b] : [b, a];
+  const frame = {
+    x: SHEET_MARGIN,
+    y: SHEET_MARGIN,
+    w: W - 2 * SHEET_MARGIN,
+    h: H - 2 * SHEET_MARGIN,
+  };
+  const sw = Math.min(110, Math.max(70, frame.w * 0.28));
+  const side = { x: frame.x + frame.w - sw, y: frame.y, w: sw, h: frame.h };
+  const view = {
+    x: frame.x + 5,
+    y: frame.y + 5,
+    w: frame.w - sw - 10,
+    h: frame.h - 10,
+  };
+  return { W, H, frame, side, view };
+}
+
+function planExtent(plan) {
+  const pts = [
+    ...(plan.boundary || []),
+    ...(plan.corridors || []).flat(),
+    ...(plan.internalRoads || []).flatMap((r) => r.polygon),
+    ...(plan.lots || []).flatMap((l) => l.polygon),
+  ];
+  if (!pts.length) return null;
+  const xs = pts.map((p) => p[0]),
+    ys = pts.map((p) => p[1]);
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+// Tỉ lệ chuẩn nhỏ nhất (chi tiết nhất) để phương án vừa khung bản vẽ;
+// null = chưa có hình, Infinity = không vừa kể cả ở tỉ lệ lớn nhất (cần khổ giấy lớn hơn)
+function sheetFitScale(ext, view) {
+  if (!ext) return null;
+  const wm = Math.max(ext.maxX - ext.minX, 1e-9),
+    hm = Math.max(ext.maxY - ext.minY, 1e-9);
+  return (
+    SHEET_SCALES.find(
+      (s) => (wm * 1000) / s <= view.w && (hm * 1000) / s <= view.h
+    ) ?? Infinity
+  );
+}
+
+// Ngày theo giờ máy (YYYY-MM-DD); toISOString() là UTC nên có thể lệch 1 ngày
+function localDateString(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Thanh tỉ lệ: độ dài "tròn" (m) dài nhất mà ≤ maxMm trên giấy
+function scaleBarLength(scale, maxMm) {
+  const steps = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000];
+  let best = steps[0];
+  for (const m of steps) if ((m * 1000) / scale <= maxMm) best = m;
+  return best;
+}
+
+/**
+ * Sinh bản vẽ khổ giấy dạng SVG độc lập (mm, đúng tỉ lệ 1:scale; 1 đơn vị canvas = 1 m).
+ * plan: { boundary, boundaryClosed, corridors, internalRoads, lots, lotColors,
+ *         lotRows: [{ id, area, front }], legend: [{ label, color }] }
+ * info: { landId, projectName, date, author }
+ * Trả về { svg, fits, fitScale }
+ */
+function buildPlanSheetSVG(plan, opts, info) {
+  const { W, H, frame, side, view } = sheetLayout(opts);
+  const scale = Number(opts.scale) > 0 ? Number(opts.scale) : 500;
+  const k = 1000 / scale; // mm giấy / m thực
+  const ext = planExtent(plan);
+  const cx = ext ? (ext.minX + ext.maxX) / 2 : 0,
+    cy = ext ? (ext.minY + ext.maxY) / 2 : 0;
+  const fits =
+    !ext ||
+    ((ext.maxX - ext.minX) * k <= view.w &&
+      (ext.maxY - ext.minY) * k <= view.h);
+  const f = (v) => +v.toFixed(2);
+  const X = (x) => f(view.x + view.w / 2 + (x - cx) * k);
+  const Y = (y) => f(view.y + view.h / 2 + (y - cy) * k);
+  const pts = (poly) => poly.map((p) => `${X(p[0])},${Y(p[1])}`).join(" ");
+  const text = (x, y, str, size, extra = "") =>
+    `<text x="${f(x)}" y="${f(y)}" font-size="${size}" ${extra}>${xmlEscape(
+      str
+    )}</text>`;
+  const rect = (
+    x,
+    y,
+    w,
+    h,
+    extra = 'fill="none" stroke="#000" stroke-width="0.25"'
+  ) =>
+    `<rect x="${f(x)}" y="${f(y)}" width="${f(w)}" height="${f(h)}" ${extra}/>`;
+  const out = [];
+
+  // Bản vẽ (cắt theo khung view)
+  out.push(
+    `<clipPath id="view"><rect x="${view.x}" y="${view.y}" width="${f(
+      view.w
+    )}" height="${f(view.h)}"/></clipPath>`,
+    `<g clip-path="url(#view)">`
+  );
+  for (const row of plan.corridors || [])
+    out.push(
+      `<polygon points="${pts(
+        row
+      )}" fill="#e5e7eb" stroke="#6b7280" stroke-width="0.2"/>`
+    );
+  for (const r of plan.internalRoads || [])
+    if (r.polygon.length >= 3)
+      out.push(
+        `<polygon points="${pts(
+          r.polygon
+        )}" fill="#fde68a" stroke="#b45309" stroke-width="0.2"/>`
+      );
+  (plan.lots || []).forEach((l, i) => {
+    if (l.polygon.length < 3) return;
+    const fill = plan.lotColors?.[i] || "#dbeafe";
+    out.push(
+      `<polygon points="${pts(
+        l.polygon
+      )}" fill="${fill}" stroke="#1d4ed8" stroke-width="0.25"/>`
+    );
+    const [lx, ly] = polygonCentroid(l.polygon);
+    out.push(
+      text(
+        X(lx),
+        Y(ly) - 0.5,
+        l.lot_id,
+        2.2,
+        'text-anchor="middle" font-weight="bold"'
+      ),
+      text(
+        X(lx),
+        Y(ly) + 2.3,
+        `${shoelaceArea(l.polygon).toFixed(1)} m²`,
+        1.8,
+        'text-anchor="middle"'
+      )
+    );
+  });
+  if (plan.boundary?.length >= 2)
+    out.push(
+      `<${plan.boundaryClosed ? "polygon" : "polyline"} points="${pts(
+        plan.boundary
+      )}" fill="none" stroke="#111827" stroke-width="0.5"/>`
+    );
+  out.push(`</g>`);
+
+  // Khung viền + cột thông tin
+  out.push(
+    rect(
+      frame.x,
+      frame.y,
+      frame.w,
+      frame.h,
+      'fill="none" stroke="#000" stroke-width="0.5"'
+    ),
+    `<line x1="${f(side.x)}" y1="${side.y}" x2="${f(side.x)}" y2="${f(
+      side.y + side.h
+    )}" stroke="#000" stroke-width="0.35"/>`
+  );
+  const px = side.x + 5;
+  let y = side.y + 6;
+
+  // Mũi tên bắc (bắc = hướng -y canvas) + thanh tỉ lệ
+  const nx = px + 6;
+  out.push(
+    `<polygon points="${f(nx)},${f(y + 2)} ${f(nx + 3.5)},${f(y + 14)} ${f(
+      nx
+    )},${f(y + 11)} ${f(nx - 3.5)},${f(y + 14)}" fill="#000"/>`,
+    text(nx, y, "N", 3.5, 'text-anchor="middle" font-weight="bold"')
+  );
+  const barM = scaleBarLength(scale, side.w - 30);
+  const barMm = (barM * 1000) / scale;
+  const bx = px + 18,
+    by = y + 8;
+  for (let s = 0; s < 4; s++)
+    out.push(
+      rect(
+        bx + (s * barMm) / 4,
+        by,
+        barMm / 4,
+        1.5,
+        `fill="${s % 2 ? "#fff" : "#000"}" stroke="#000" stroke-width="0.2"`
+      )
+    );
+  out.push(
+    text(bx, by - 1.2, "0", 2.2, 'text-anchor="middle"'),
+    text(bx + barMm, by - 1.2, `${barM} m`, 2.2, 'text-anchor="middle"'),
+    text(bx, by + 5, `Scale 1:${scale}`, 2.5)
+  );
+  y += 22;
+
+  // Legend
+  out.push(text(px, y, "Legend", 3, 'font-weight="bold"'));
+  y += 2;
+  for (const e of plan.legend || []) {
+    out.push(
+      rect(
+        px,
+        y + 0.8,
+        5,
+        3,
+        `fill="${e.color}" stroke="#374151" stroke-width="0.2"`
+      ),
+      text(px + 7, y + 3.4, e.label, 2.4)
+    );
+    y += 4.5;
+  }
+  y += 4;
+
+  // Bảng lô: id, diện tích, front road; cắt bớt nếu không đủ chỗ
+  const rows = plan.lotRows || [];
+  const rowH = 4.2;
+  const cols = [px, px + (side.w - 10) * 0.35, px + (side.w - 10) * 0.7];
+  const tableBottom = side.y + side.h - SHEET_TITLE_H - 4;
+  out.push(text(px, y, "Lot schedule", 3, 'font-weight="bold"'));
+  y += 1.5;
+  const header = ["Lot", "Area (m²)", "Front road"];
+  const maxRows = Math.max(0, Math.floor((tableBottom - y) / rowH) - 2);
+  const shown =
+    rows.length > maxRows ? rows.slice(0, Math.max(0, maxRows - 1)) : rows;
+  const line = (yy) =>
+    `<line x1="${f(px)}" y1="${f(yy)}" x2="${f(side.x + side.w - 5)}" y2="${f(
+      yy
+    )}" stroke="#000" stroke-width="0.15"/>`;
+  const row = (cells, bold = false) => {
+    out.push(
+      ...cells.map((c, i) =>
+        text(
+          cols[i] + 0.5,
+          y + rowH - 1.1,
+          c,
+          2.3,
+          bold ? 'font-weight="bold"' : ""
+        )
+      ),
+      line(y + rowH)
+    );
+    y += rowH;
+  };
+  out.push(line(y));
+  row(header, true);
+  for (const r of shown) row([r.id, r.area.toFixed(1), r.front || "—"]);
+  if (shown.length < rows.length)
+    row([`… +${rows.length - shown.length} lots`, "", ""]);
+  row(
+    [
+      `Total ${rows.length}`,
+      rows.reduce((s, r) => s + r.area, 0).toFixed(1),
+      "",
+    ],
+    true
+  );
+
+  // Khung tên
+  const ty = side.y + side.h - SHEET_TITLE_H;
+  out.push(
+    `<line x1="${f(side.x)}" y1="${f(ty)}" x2="${f(side.x + side.w)}" y2="${f(
+      ty
+    )}" stroke="#000" stroke-width="0.35"/>`
+  );
+  [
+    ["Project", info.projectName || info.landId],
+    ["Land ID", info.landId],
+    ["Date", info.date],
+    ["Author", info.author || "—"],
+    ["Scale", `1:${scale} • ${opts.paper} ${opts.orientation}`],
+  ].forEach(([label, value], i) => {
+    const ry = ty + 6 + i * 6.5;
+    out.push(
+      text(px, ry, label, 2.3, 'fill="#4b5563"'),
+      text(px + 18, ry, value, 2.8, 'font-weight="bold"')
+    );
+  });
+
+  const svg = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${W}mm" height="${H}mm" viewBox="0 0 ${W} ${H}" font-family="Arial, Helvetica, sans-serif">`,
+    `<rect x="0" y="0" width="${W}" height="${H}" fill="#fff"/>`,
+    ...out,
+    `</svg>`,
+  ].join("\n");
+  return { svg, fits, fitScale: sheetFitScale(ext, view) };
+}
+
+// ---------- Lot schedule (bảng lô + CSV / XLSX) ----------
+const LOT_SCHEDULE_COLUMNS = [
+  { key: "lot_id", label: "Lot" },
+  { key: "area", label: "Area (m²)", numeric: true },
+  { key: "perimeter", label: "Perimeter (m)", numeric: true },
+  { key: "frontage", label: "Frontage (m)", numeric: true },
+  { key: "depth", label: "Depth (m)", numeric: true },
+  { key: "front_road", label: "Front road" },
+  { key: "land_use", label: "Land use" },
+  { key: "status", label: "Status" },
+  { key: "price_per_m2", label: "Price / m²", numeric: true },
+];
+
+// Mỗi lô → 1 dòng; custom_fields thành cột "custom:<key>" (thêm vào cuối bảng)
+function lotScheduleRows(plan, tolUnits = 0) {
+  const {
+    boundary = [],
+    boundaryClosed = false,
+    publicRoads = [],
+    internalRoads = [],
+    lots = [],
+    frontageRule,
+  } = plan || {};
+  const ctx = {
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+  };
+  const num = (v) => Number(v.toFixed(2));
+  const rows = lots.map((l, index) => {
+    const ring = stripClosingDuplicate(l.polygon || []);
+    const front = computeFrontRoadForLot(ring, ctx, tolUnits);
+    const depth = lotDepthInfo(ring, front, ctx, tolUnits);
+    const row = {
+      index,
+      lot_id: l.lot_id,
+      area: ring.length >= 3 ? num(shoelaceArea(ring)) : 0,
+      perimeter: ring.length >= 2 ? num(polygonPerimeter(ring)) : 0,
+      frontage: num(lotFrontageLength(ring, front, ctx, tolUnits)),
+      depth: depth ? num(depth.depth) : null,
+      front_road: front,
+      land_use: l.land_use ?? "residential",
+      status: l.status ?? "available",
+      price_per_m2: l.price_per_m2 ?? null,
+    };
+    for (const [k, v] of Object.entries(l.custom_fields || {}))
+      row[`custom:${k}`] = v;
+    return row;
+  });
+  const customKeys = [
+    ...new Set(
+      rows.flatMap((r) => Object.keys(r).filter((k) => k.startsWith("custom:")))
+    ),
+  ].sort();
+  const columns = [
+    ...LOT_SCHEDULE_COLUMNS,
+    ...customKeys.map((key) => ({ key, label: key.slice(7) })),
+  ];
+  return { columns, rows };
+}
+
+/**
+ * Lọc dòng theo chuỗi query: các token cách nhau bằng khoảng trắng, tất cả phải khớp.
+ * "col>=n" / "col<n" / "col=x" so sánh theo cột (số hoặc chuỗi), token khác = tìm chuỗi con mọi cột.
+ * vd: "area>=150 front_road=R1 corner"
+ */
+function filterScheduleRows(rows, columns, query) {
+  const tokens = String(query || "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!tokens.length) return rows;
+  const byLabel = new Map(
+    columns.flatMap((c) => [
+      [c.key.toLowerCase(), c.key],
+      [c.key.replace(/^custom:/, "").toLowerCase(), c.key],
+    ])
+  );
+  const tests = tokens.map((tok) => {
+    const m = tok.match(/^([^<>=!]+)(>=|<=|!=|>|<|=)(.*)$/);
+    const key = m && byLabel.get(m[1]);
+    if (!key)
+      return (r) =>
+        columns.some((c) =>
+          String(r[c.key] ?? "")
+            .toLowerCase()
+            .includes(tok)
+        );
+    const [, , op, raw] = m;
+    return (r) => {
+      const v = r[key];
+      const n = Number(raw);
+      if (op === "=" || op === "!=") {
+        const eq = String(v ?? "").toLowerCase() === raw;
+        return op === "=" ? eq : !eq;
+      }
+      if (v == null || raw === "" || !Number.isFinite(n)) return false;
+      if (op === ">") return v > n;
+      if (op === "<") return v < n;
+      if (op === ">=") return v >= n;
+      return v <= n;
+    };
+  });
+  return rows.filter((r) => tests.every((t) => t(r)));
+}
+
+// Sắp xếp ổn định; null luôn xuống cuối; lot_id so sánh kiểu "tự nhiên" (L2 < L10)
+function sortScheduleRows(rows, key, dir = 1) {
+  return rows
+    .map((r, i) => [r, i])
+    .sort(([a, ia], [b, ib]) => {
+      const va = a[key],
+        vb = b[key];
+      if (va == null || vb == null)
+        return va == null && vb == null ? ia - ib : va == null ? 1 : -1;
+      const c =
+        typeof va === "number" && typeof vb === "number"
+          ? va - vb
+          : String(va).localeCompare(String(vb), undefined, { numeric: true });
+      return c * dir || ia - ib;
+    })
+    .map(([r]) => r);
+}
+
+function scheduleTotals(rows, boundaryArea) {
+  const sum = (k) => rows.reduce((s, r) => s + (Number(r[k]) || 0), 0);
+  const area = sum("area");
+  return {
+    count: rows.length,
+    area: Number(area.toFixed(2)),
+    perimeter: Number(sum("perimeter").toFixed(2)),
+    frontage: Number(sum("frontage").toFixed(2)),
+    share: boundaryArea > 0 ? area / boundaryArea : null,
+  };
+}
+
+// Bảng → mảng 2 chiều (header + dòng + dòng tổng), dùng chung cho CSV và XLSX
+function scheduleTable(columns, rows, totals) {
+  const body = rows.map((r) => columns.map((c) => r[c.key] ?? ""));
+  const total = columns.map((c, i) =>
+    i === 0
+      ? `Total (${totals.count})`
+      : c.key in totals && c.key !== "count"
+      ? totals[c.key]
+      : ""
+  );
+  const table = [columns.map((c) => c.label), ...body, total];
+  if (totals.share != null)
+    table.push(
+      columns.map((c, i) =>
+        i === 0
+          ? "Share of boundary"
+          : c.key === "area"
+          ? `${(totals.share * 100).toFixed(1)}%`
+          : ""
+      )
+    );
+  return table;
+}
+
+function toCSV(table) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return table.map((row) => row.map(cell).join(",")).join("\r\n");
+}
+
+// CRC-32 (IEEE) cho ZIP
+const CRC32_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++)
+    c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// ZIP tối giản (phương thức "stored", không nén): files = [{ name, text }]
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const parts = [],
+    central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = enc.encode(f.text);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // tên file UTF-8
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+    central.push(new Uint8Array(dir.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const dirSize = central.reduce((s, b) => s + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((s, b) => s + b.length, 0));
+  let p = 0;
+  for (const b of all) {
+    out.set(b, p);
+    p += b.length;
+  }
+  return out;
+}
+
+// Workbook XLSX 1 sheet: số → ô số, còn lại → inline string; dòng đầu in đậm
+function buildXLSX(table, sheetName = "Sheet1") {
+  // Excel cấm []:*?/\ trong tên sheet, tối đa 31 ký tự, không rỗng
+  const safeName =
+    String(sheetName)
+      .replace(/[[\]:*?/\\]/g, "_")
+      .slice(0, 31) || "Sheet1";
+  const colName = (i) => {
+    let s = "";
+    for (i += 1; i > 0; i = Math.floor((i - 1) / 26))
+      s = String.fromCharCode(65 + ((i - 1) % 26)) + s;
+    return s;
+  };
+  const rowsXml = table
+    .map((row, r) => {
+      const cells = row
+        .map((v, c) => {
+          const ref = `${colName(c)}${r + 1}`;
+          const style = r === 0 ? ' s="1"' : "";
+          if (typeof v === "number" && Number.isFinite(v))
+            return `<c r="${ref}"${style}><v>${v}</v></c>`;
+          if (v === "" || v == null) return "";
+          return `<c r="${ref}" t="inlineStr"${style}><is><t>${xmlEscape(
+            v
+          )}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n`;
+  return zipStore([
+    {
+      name: "[Content_Types].xml",
+      text: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      text: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      text: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(
+        safeName
+      )}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      text: `${xml}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      text: `${xml}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowsXml}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+// ---------- COGO traverse (phương vị / khoảng cách) ----------
+// Góc dạng độ-phút-giây: "45°30'15\"", "45-30-15", "45 30", "45.5"
+function parseDMS(str) {
+  const parts = String(str)
+    .trim()
+    .replace(/[°º'′"″:-]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!parts.length || parts.length > 3) return null;
+  const [d, m = 0, s = 0] = parts.map(Number);
+  if (![d, m, s].every(Number.isFinite) || m < 0 || m >= 60 || s < 0 || s >= 60)
+    return null;
+  return d + m / 60 + s / 3600;
+}
+
+/**
+ * Phương vị → azimuth (độ, 0 = Bắc, thuận chiều kim đồng hồ).
+ * Nhận góc 1/4 "N 45°30'E" / "S12-10W" hoặc azimuth "123°45'30\"" / "123.5".
+ */
+function parseBearing(str) {
+  const s = String(str).trim().toUpperCase();
+  const q = s.match(/^([NS])\s*(.+?)\s*([EW])$/);
+  if (q) {
+    const th = parseDMS(q[2]);
+    if (th == null || th > 90) return null;
+    if (q[1] === "N") return q[3] === "E" ? th : (360 - th) % 360;
+    return q[3] === "E" ? 180 - th : 180 + th;
+  }
+  if (/[A-Z]/.test(s)) return null;
+  const az = parseDMS(s);
+  return az != null && az >= 0 && az < 360 ? az : null;
+}
+
+// azimuth → "N 45°30'00\" E"
+function formatBearing(az) {
+  const a = ((az % 360) + 360) % 360;
+  const [ns, th, ew] =
+    a <= 90
+      ? ["N", a, "E"]
+      : a < 180
+      ? ["S", 180 - a, "E"]
+      : a < 270
+      ? ["S", a - 180, "W"]
+      : ["N", 360 - a, "W"];
+  let tot = Math.round(th * 3600);
+  const d = Math.floor(tot / 3600);
+  tot -= d * 3600;
+  const m = Math.floor(tot / 60);
+  const sec = tot - m * 60;
+  return `${ns} ${d}°${String(m).padStart(2, "0")}'${String(sec).padStart(
+    2,
+    "0"
+  )}" ${ew}`;
+}
+
+/**
+ * Mỗi dòng 1 call: "<phương vị>[,;tab ]<khoảng cách>" (dòng trống / bắt đầu bằng # bị bỏ qua).
+ * Trả về { calls: [{ azimuth, distance }], errors }
+ */
+function parseTraverseCalls(text) {
+  const calls = [];
+  const errors = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      const t = line.trim();
+      if (!t || t.startsWith("#")) return;
+      const m = t.match(/^(.*?)[\s,;]+(\d+(?:\.\d+)?)\s*m?$/i);
+      const az = m ? parseBearing(m[1].replace(/[,;]\s*$/, "")) : null;
+      const dist = m ? Number(m[2]) : NaN;
+      if (az == null || !(dist > 0)) {
+        errors.push(
+          `Dòng ${i + 1}: không đọc được "${t}" (vd. N 45°30'E, 120.5)`
+        );
+        return;
+      }
+      calls.push({ azimuth: az, distance: dist });
+    });
+  return { calls, errors };
+}
+
+/**
+ * Tính toạ độ đường chuyền từ điểm đầu (toạ độ canvas: y hướng xuống = hướng Nam).
+ * Trả về { points (n+1 điểm), misclosure: [dx,dy], error, perimeter, precision (1:N), adjusted }
+ * adjusted: hiệu chỉnh Compass/Bowditch — sai số phân bổ theo tỉ lệ chiều dài cộng dồn.
+ */
+function computeTraverse(start, calls) {
+  const pts = [start];
+  let perimeter = 0;
+  const cum = [0];
+  for (const c of calls) {
+    const r = (c.azimuth * Math.PI) / 180;
+    const [x, y] = pts[pts.length - 1];
+    pts.push([x + c.distance * Math.sin(r), y - c.distance * Math.cos(r)]);
+    perimeter += c.distance;
+    cum.push(perimeter);
+  }
+  const end = pts[pts.length - 1];
+  const mis = [end[0] - start[0], end[1] - start[1]];
+  const error = Math.hypot(mis[0], mis[1]);
+  const adjusted = pts.map(([x, y], i) => {
+    const k = perimeter > 0 ? cum[i] / perimeter : 0;
+    return [x - mis[0] * k, y - mis[1] * k];
+  });
+  const round = (p) => [Number(p[0].toFixed(3)), Number(p[1].toFixed(3))];
+  return {
+    points: pts.map(round),
+    adjusted: adjusted.map(round),
+    misclosure: mis,
+    error,
+    // hướng sai số khép (azimuth, trục Bắc = -y canvas)
+    errorAzimuth: (Math.atan2(mis[0], -mis[1]) * 180) / Math.PI,
+    perimeter,
+    precision: error > 1e-9 ? perimeter / error : Infinity,
+  };
+}
 
-  let wMin = Infinity;
-  for (let i = 0; i < SAMPLES; i++) {
-    const t = a + ((i + 0.5) * (b - a)) / SAMPLES;
-    const w = crossSectionWidthAt(poly, d, n, t);
-    if (isFinite(w) && w > 0 && w < wMin) wMin = w;
+// ---------- Project store (localStorage, key theo landId) ----------
+const STORAGE_NS = "land-subdivision";
+const PROJECT_INDEX_KEY = `${STORAGE_NS}:projects`; // [{ landId, name, updatedAt }]
+const SESSION_KEY = `${STORAGE_NS}:session`; // phiên làm việc gần nhất (kể cả nét đang vẽ dở)
+const projectKey = (landId) => `${STORAGE_NS}:project:${landId}`;
+
+function storageRead(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
   }
-  if (!isFinite(wMin)) wMin = 0;
-  return Number(wMin.toFixed(2));
+}
+// ném lỗi (QuotaExceeded, private mode…) để nơi gọi hiển thị trạng thái
+function storageWrite(key, value) {
+  window.localStorage.setItem(key, JSON.stringify(value));
+}
+
+function listProjects() {
+  const idx = storageRead(PROJECT_INDEX_KEY);
+  if (!Array.isArray(idx)) return [];
+  return [...idx].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+function loadProject(landId) {
+  return storageRead(projectKey(landId));
+}
+function saveProject(record) {
+  storageWrite(projectKey(record.landId), record);
+  const idx = listProjects().filter((p) => p.landId !== record.landId);
+  idx.push({
+    landId: record.landId,
+    name: record.name,
+    updatedAt: record.updatedAt,
+  });
+  storageWrite(PROJECT_INDEX_KEY, idx);
+}
+function deleteProject(landId) {
+  window.localStorage.removeItem(projectKey(landId));
+  storageWrite(
+    PROJECT_INDEX_KEY,
+    listProjects().filter((p) => p.landId !== landId)
+  );
+}
+function uniqueProjectId(base) {
+  const ids = new Set(listProjects().map((p) => p.landId));
+  let n = 2;
+  while (ids.has(`${base}-copy${n === 2 ? "" : n}`)) n++;
+  return `${base}-copy${n === 2 ? "" : n}`;
+}
+function snapshotIsEmpty(s) {
+  return (
+    !s ||
+    (!s.boundary?.length &&
+      !s.publicRoads?.length &&
+      !s.internalRoads?.length &&
+      !s.lots?.length &&
+      !s.annotations?.length)
+  );
 }
 
 // ---------- Main Component ----------
@@ -838,7 +4252,7 @@ export default function LandSubdivisionApp() {
   const [showWidthDebug, setShowWidthDebug] = useState(false);
 
   const [landId, setLandId] = useState("L001");
-  const [mode, setMode] = useState("boundary"); // boundary|publicRoad|internalRoad|lot|select
+  const [mode, setMode] = useState("boundary"); // boundary|publicRoad|internalRoad|lot|split|select
 
   const svgRef = useRef(null);
   const [current, setCurrent] = useState([]); // drawing points
@@ -855,6 +4269,18 @@ export default function LandSubdivisionApp() {
   // Lots
   const [lots, setLots] = useState([]); // [{lot_id, polygon:[[x,y]], front_road}]
 
+  // Annotations (kết quả đo đã ghim): [{id, type: dimension|angle|area, points, value, perimeter?, target?}]
+  const [annotations, setAnnotations] = useState([]);
+  // Measure mode: điểm đang đo (tách khỏi current) + kết quả area probe
+  const [measureTool, setMeasureTool] = useState("distance"); // distance|angle|area
+  const [measurePts, setMeasurePts] = useState([]);
+  const [measureProbe, setMeasureProbe] = useState(null);
+  // Annotate mode: công cụ + điểm đang đặt; chữ mặc định cho leader/text mới
+  const [annotateTool, setAnnotateTool] = useState("aligned"); // aligned|leader|text|north
+  const [annotatePts, setAnnotatePts] = useState([]);
+  const [annotateText, setAnnotateText] = useState("Note");
+  const [autoLotDims, setAutoLotDims] = useState(false);
+
   // Snap
   const [snapTol, setSnapTol] = useState(4);
   const [lineTol, setLineTol] = useState(4);
@@ -889,6 +4315,7 @@ export default function LandSubdivisionApp() {
       publicRoads: deepCopy(publicRoads),
       internalRoads: deepCopy(internalRoads),
       lots: deepCopy(lots),
+      annotations: deepCopy(annotations),
       // không lưu current/hover/selection/dragging để tránh undo “con trỏ”
     };
   }
@@ -899,12 +4326,197 @@ export default function LandSubdivisionApp() {
     setPublicRoads(s.publicRoads || []);
     setInternalRoads(s.internalRoads || []);
     setLots(s.lots || []);
+    setAnnotations(s.annotations || []);
   }
 
   function pushHistory() {
     // gọi TRƯỚC khi thay đổi dữ liệu
     setHistory((h) => [...h, makeSnapshot()]);
     setFuture([]); // clear redo khi có act mới
+    requestAutosave();
+  }
+
+  // --- Project store / Autosave ---
+  const [projectName, setProjectName] = useState("");
+  const [autosave, setAutosave] = useState(true);
+  const [autosaveTick, setAutosaveTick] = useState(0);
+  const [saveStatus, setSaveStatus] = useState(null); // null | { ok, at, message? }
+  const [projects, setProjects] = useState(() => listProjects());
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+  // Phiên trước (nếu có) → hỏi khôi phục khi load trang
+  const [recoverSession, setRecoverSession] = useState(() => {
+    const s = storageRead(SESSION_KEY);
+    return s && !snapshotIsEmpty(s.snapshot) ? s : null;
+  });
+
+  // autosave chạy SAU render (state đã cập nhật), còn pushHistory gọi TRƯỚC khi đổi dữ liệu
+  function requestAutosave() {
+    setAutosaveTick((t) => t + 1);
+  }
+
+  function makeProjectRecord() {
+    return {
+      landId,
+      name: projectName || landId,
+      updatedAt: Date.now(),
+      snapshot: makeSnapshot(),
+      setbacks: {
+        front: setbackFront,
+        side: setbackSide,
+        rear: setbackRear,
+        minArea: minEnvelopeArea,
+      },
+      zoning: zoningRules,
+      crs: geoCrs,
+      theme: lotTheme,
+      layers,
+      autoLotDims,
+      frontageRule,
+      sheet: sheetOpts,
+    };
+  }
+
+  function applyProjectRecord(rec, extra = {}) {
+    restoreSnapshot(rec.snapshot || {});
+    setLandId(rec.landId);
+    setProjectName(rec.name || "");
+    // Record thiếu khoá nào → về mặc định, không giữ lại giá trị của dự án trước
+    const setbacks = rec.setbacks
+      ? {
+          front: rec.setbacks.front ?? 0,
+          side: rec.setbacks.side ?? 0,
+          rear: rec.setbacks.rear ?? 0,
+          minArea: rec.setbacks.minArea ?? 0,
+        }
+      : DEFAULT_SETBACKS;
+    setSetbackFront(setbacks.front);
+    setSetbackSide(setbacks.side);
+    setSetbackRear(setbacks.rear);
+    setMinEnvelopeArea(setbacks.minArea);
+    setZoningRules({ ...DEFAULT_ZONING_RULES, ...rec.zoning });
+    setGeoCrs({ ...DEFAULT_GEO_CRS, ...rec.crs });
+    setLotTheme({ ...DEFAULT_LOT_THEME, ...rec.theme });
+    setAutoLotDims(!!rec.autoLotDims);
+    setFrontageRule(
+      rec.frontageRule in FRONTAGE_RULES ? rec.frontageRule : "internal_first"
+    );
+    setSheetOpts({ ...DEFAULT_SHEET, ...rec.sheet });
+    setLayers(
+      Object.fromEntries(
+        Object.entries(DEFAULT_LAYERS).map(([k, v]) => [
+          k,
+          { ...v, ...rec.layers?.[k] },
+        ])
+      )
+    );
+    setCurrent(extra.current || []);
+    setHistory([]);
+    setFuture([]);
+    setActivePublicIdx(-1);
+    setSelection(null);
+    setDragging(null);
+    setHover(null);
+    const s = rec.snapshot || {};
+    fitView([
+      ...(s.boundary || []),
+      ...(s.publicRoads || []).flatMap((r) => r.entry_points),
+      ...(s.internalRoads || []).flatMap((r) => r.polygon),
+      ...(s.lots || []).flatMap((l) => l.polygon),
+    ]);
+  }
+
+  function saveCurrentProject() {
+    if (!landId.trim()) return;
+    const rec = makeProjectRecord();
+    try {
+      saveProject(rec);
+      storageWrite(SESSION_KEY, { ...rec, current, mode });
+      setSaveStatus({ ok: true, at: rec.updatedAt });
+    } catch (err) {
+      setSaveStatus({ ok: false, at: rec.updatedAt, message: err.message });
+    }
+    setProjects(listProjects());
+    setRecoverSession(null);
+  }
+
+  // Chưa trả lời "Recover" thì không autosave: phiên mới cùng landId sẽ ghi đè dữ liệu cũ.
+  // Ref giữ closure mới nhất để effect chỉ phụ thuộc autosaveTick.
+  const autosaveRef = useRef(null);
+  // Autosave cũng không ghi plan rỗng (Clear All, bấm nhầm) đè lên project đã lưu có dữ liệu:
+  // Undo vẫn lấy lại được, muốn lưu plan rỗng thì bấm "Save now".
+  autosaveRef.current = () => {
+    if (!autosave || recoverSession) return;
+    if (
+      snapshotIsEmpty(makeSnapshot()) &&
+      !snapshotIsEmpty(loadProject(landId)?.snapshot)
+    ) {
+      setSaveStatus({
+        ok: false,
+        at: Date.now(),
+        message: "empty plan not autosaved over the stored project",
+      });
+      return;
+    }
+    saveCurrentProject();
+  };
+  useEffect(() => {
+    if (autosaveTick) autosaveRef.current();
+  }, [autosaveTick]);
+
+  function onOpenProject(id) {
+    const rec = loadProject(id);
+    if (!rec) {
+      setProjects(listProjects());
+      return;
+    }
+    applyProjectRecord(rec);
+  }
+  function onDuplicateProject(id) {
+    const rec = loadProject(id);
+    if (!rec) return;
+    const newId = uniqueProjectId(id);
+    try {
+      saveProject({
+        ...rec,
+        landId: newId,
+        name: `${rec.name || id} (copy)`,
+        updatedAt: Date.now(),
+      });
+    } catch (err) {
+      setSaveStatus({ ok: false, at: Date.now(), message: err.message });
+    }
+    setProjects(listProjects());
+  }
+  function onRenameProject(id, name) {
+    const rec = loadProject(id);
+    setRenamingId(null);
+    if (!rec || !name.trim()) return;
+    try {
+      saveProject({ ...rec, name: name.trim(), updatedAt: Date.now() });
+    } catch (err) {
+      setSaveStatus({ ok: false, at: Date.now(), message: err.message });
+    }
+    if (id === landId) setProjectName(name.trim());
+    setProjects(listProjects());
+  }
+  function onDeleteProject(id) {
+    deleteProject(id);
+    setProjects(listProjects());
+  }
+  function onRecoverSession() {
+    const s = recoverSession;
+    setRecoverSession(null);
+    if (!s) return;
+    applyProjectRecord(s, { current: s.current });
+    if (s.mode) setMode(s.mode);
+  }
+  function onDiscardSession() {
+    window.localStorage.removeItem(SESSION_KEY);
+    setRecoverSession(null);
+    // project đã lưu cùng landId vẫn giữ nguyên: phiên mới chuyển sang id khác
+    if (loadProject(landId)) setLandId(uniqueProjectId(landId));
+    requestAutosave();
   }
 
   function undoHistory() {
@@ -916,6 +4528,7 @@ export default function LandSubdivisionApp() {
       restoreSnapshot(prev);
       return h.slice(0, -1);
     });
+    requestAutosave();
   }
 
   function redoHistory() {
@@ -927,13 +4540,23 @@ export default function LandSubdivisionApp() {
       restoreSnapshot(next);
       return f.slice(1);
     });
+    requestAutosave();
   }
 
   // Smart undo: ưu tiên “undo khi đang vẽ”, nếu không thì dùng history
   function smartUndo() {
-    if (
+    if (mode === "measure" && (measurePts.length || measureProbe)) {
+      setMeasurePts((pts) => pts.slice(0, -1));
+      setMeasureProbe(null);
+    } else if (mode === "annotate" && annotatePts.length) {
+      setAnnotatePts((pts) => pts.slice(0, -1));
+    } else if (
       current.length &&
-      (mode === "boundary" || mode === "internalRoad" || mode === "lot")
+      (mode === "boundary" ||
+        mode === "internalRoad" ||
+        mode === "lot" ||
+        mode === "split" ||
+        mode === "roadCenterline")
     ) {
       setCurrent((cur) => cur.slice(0, -1));
     } else {
@@ -954,6 +4577,22 @@ export default function LandSubdivisionApp() {
   const [internalWidthDefault, setInternalWidthDefault] = useState(6);
   const [internalRoads, setInternalRoads] = useState([]); // [{road_id, polygon:[[x,y]], width}]
   const [autoInternalWidth, setAutoInternalWidth] = useState(true); // NEW
+  // Road centerline: kiểu join/cap mặc định cho đường vẽ theo tim đường
+  const [clJoin, setClJoin] = useState("miter"); // miter|round|chamfer
+  const [clCapStart, setClCapStart] = useState("square"); // square|culdesac
+  const [clCapEnd, setClCapEnd] = useState("square");
+  const [clBulbRadius, setClBulbRadius] = useState(10);
+
+  // Sửa centerline/width/join/cap của 1 đường → sinh lại polygon
+  function updateCenterlineRoad(index, patch) {
+    pushHistory();
+    setInternalRoads((rs) => {
+      const u = [...rs];
+      const r = { ...u[index], ...patch };
+      u[index] = { ...r, polygon: roadPolygonFromCenterline(r) };
+      return u;
+    });
+  }
 
   // ViewBox zoom/pan
   const canvasW = 1000,
@@ -989,6 +4628,10 @@ export default function LandSubdivisionApp() {
     publicRoad: "Public EP",
     internalRoad: "Internal",
     lot: "Lot",
+    split: "Split line",
+    roadCenterline: "Road centerline",
+    measure: "Measure",
+    annotate: "Annotate",
     select: "Select/Edit",
   };
 
@@ -1001,6 +4644,10 @@ export default function LandSubdivisionApp() {
     publicRoad: { bg: "#059669", text: "#ffffff" }, // emerald-600
     internalRoad: { bg: "#d97706", text: "#ffffff" }, // amber-600
     lot: { bg: "#1d4ed8", text: "#ffffff" }, // blue-700
+    split: { bg: "#be123c", text: "#ffffff" }, // rose-700
+    roadCenterline: { bg: "#b45309", text: "#ffffff" }, // amber-700
+    measure: { bg: "#0f766e", text: "#ffffff" }, // teal-700
+    annotate: { bg: "#6d28d9", text: "#ffffff" }, // violet-700
     select: { bg: "#a21caf", text: "#ffffff" }, // fuchsia-700
   };
   // fallback khi gặp mode lạ
@@ -1040,8 +4687,20 @@ export default function LandSubdivisionApp() {
     return `R${String(n).padStart(3, "0")}`;
   }
   const nextInternalRoadId = () => nextGlobalRoadId();
-  const nextLotId = () =>
-    `${landId}-${String(lots.length + 1).padStart(2, "0")}`;
+  // bỏ qua id đã dùng (sau khi xoá lô, lots.length + 1 có thể trùng)
+  const nextLotId = () => nextLotIds(1)[0];
+  // cấp nhiều id liên tiếp theo cùng quy tắc nextLotId, bỏ qua id đã dùng
+  function nextLotIds(count, taken = lots.map((l) => l.lot_id)) {
+    const used = new Set(taken);
+    const ids = [];
+    let n = lots.length + 1;
+    while (ids.length < count) {
+      const id = `${landId}-${String(n).padStart(2, "0")}`;
+      if (!used.has(id)) ids.push(id);
+      n++;
+    }
+    return ids;
+  }
 
   // Scale panel
   const [scalePct, setScalePct] = useState(100);
@@ -1065,54 +4724,681 @@ export default function LandSubdivisionApp() {
     const sy = all.reduce((a, p) => a + p[1], 0);
     return [sx / all.length, sy / all.length];
   }
-  function applyScaleFactor(s) {
-    if (!isFinite(s) || s <= 0) return;
-    const [cx, cy] = getAnchor();
-    setBoundary((b) => b.map((pt) => transformPoint(pt, s, cx, cy)));
-    setCurrent((cur) => cur.map((pt) => transformPoint(pt, s, cx, cy)));
-    setPublicRoads((rs) =>
-      rs.map((r) => ({
-        ...r,
-        entry_points: r.entry_points.map((pt) => transformPoint(pt, s, cx, cy)),
-      }))
-    );
-    setInternalRoads((rs) =>
-      rs.map((r) => ({
-        ...r,
-        polygon: r.polygon.map((pt) => transformPoint(pt, s, cx, cy)),
-      }))
-    );
-    setLots((ls) =>
-      ls.map((l) => ({
-        ...l,
-        polygon: l.polygon.map((pt) => transformPoint(pt, s, cx, cy)),
-      }))
+  function applyScaleFactor(s) {
+    if (!isFinite(s) || s <= 0) return;
+    const [cx, cy] = getAnchor();
+    setBoundary((b) => b.map((pt) => transformPoint(pt, s, cx, cy)));
+    setCurrent((cur) => cur.map((pt) => transformPoint(pt, s, cx, cy)));
+    setPublicRoads((rs) =>
+      rs.map((r) => ({
+        ...r,
+        entry_points: r.entry_points.map((pt) => transformPoint(pt, s, cx, cy)),
+      }))
+    );
+    setInternalRoads((rs) =>
+      rs.map((r) => {
+        if (!r.centerline)
+          return {
+            ...r,
+            polygon: r.polygon.map((pt) => transformPoint(pt, s, cx, cy)),
+          };
+        // đường theo tim: scale tim + bề rộng rồi sinh lại polygon
+        const u = {
+          ...r,
+          centerline: r.centerline.map((pt) => transformPoint(pt, s, cx, cy)),
+          width: Number((r.width * s).toFixed(2)),
+          bulb_radius: Number(((r.bulb_radius || 0) * s).toFixed(2)),
+        };
+        return { ...u, polygon: roadPolygonFromCenterline(u) };
+      })
+    );
+    setLots((ls) =>
+      ls.map((l) => ({
+        ...l,
+        polygon: l.polygon.map((pt) => transformPoint(pt, s, cx, cy)),
+      }))
+    );
+  }
+  function onApplyScalePct() {
+    const s = Number(scalePct) / 100;
+    applyScaleFactor(s);
+  }
+  const boundaryArea = boundary.length >= 3 ? shoelaceArea(boundary) : 0;
+  function onScaleToArea() {
+    if (boundaryArea <= 0) return;
+    const t = Number(targetArea);
+    if (!isFinite(t) || t <= 0) return;
+    const s = Math.sqrt(t / boundaryArea);
+    applyScaleFactor(s);
+  }
+
+  // Frontage: mọi road giáp lô + chiều dài; rule chọn mặt tiền chính (front_road) dùng chung toàn app
+  const [frontageRule, setFrontageRule] = useState("internal_first");
+  const [showFrontages, setShowFrontages] = useState(false);
+  const lotFrontageInfo = useMemo(() => {
+    const ctx = {
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+    };
+    return lots.map((l) => {
+      const frontages = lotFrontages(l.polygon, ctx, 3 * __avgUP);
+      const primary = primaryFrontage(frontages, frontageRule);
+      return { frontages, primary: primary ? primary.road_id : null };
+    });
+  }, [
+    lots,
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+    __avgUP,
+  ]);
+  function updateFrontageRule(rule) {
+    setFrontageRule(rule);
+    requestAutosave();
+  }
+  const landlockedLots = lots.filter(
+    (l, i) => !lotFrontageInfo[i].frontages.length
+  );
+
+  // Setbacks (khoảng lùi) → vùng xây dựng của từng lô
+  const [setbackFront, setSetbackFront] = useState(DEFAULT_SETBACKS.front);
+  const [setbackSide, setSetbackSide] = useState(DEFAULT_SETBACKS.side);
+  const [setbackRear, setSetbackRear] = useState(DEFAULT_SETBACKS.rear);
+  const [minEnvelopeArea, setMinEnvelopeArea] = useState(
+    DEFAULT_SETBACKS.minArea
+  );
+  const [showEnvelopes, setShowEnvelopes] = useState(true);
+
+  // Zoning rule-set (lưu cùng project) → compliance từng lô/đường
+  const [zoningRules, setZoningRules] = useState(DEFAULT_ZONING_RULES);
+  const [showZoningBadges, setShowZoningBadges] = useState(true);
+  const compliance = useMemo(
+    () =>
+      evaluateZoning(
+        {
+          boundary,
+          boundaryClosed,
+          publicRoads,
+          internalRoads,
+          lots,
+          frontageRule,
+        },
+        zoningRules,
+        3 * __avgUP
+      ),
+    [
+      lots,
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      frontageRule,
+      zoningRules,
+      __avgUP,
+    ]
+  );
+  function updateZoningRule(key, value) {
+    setZoningRules((r) => ({ ...r, [key]: value }));
+    requestAutosave();
+  }
+
+  // Layers: hiện/ẩn, khoá (bỏ khỏi hit-test + snap), độ mờ; lưu cùng project
+  const [layers, setLayers] = useState(DEFAULT_LAYERS);
+  const layerActive = (key) => layers[key].visible && !layers[key].locked;
+  function updateLayer(key, patch) {
+    setLayers((ls) => ({ ...ls, [key]: { ...ls[key], ...patch } }));
+    // bỏ chọn đối tượng thuộc layer vừa ẩn/khoá
+    if (
+      (patch.visible === false || patch.locked) &&
+      LAYER_OF_KIND[selection?.kind] === key
+    ) {
+      setSelection(null);
+      setDragging(null);
+    }
+    requestAutosave();
+  }
+
+  // Ảnh nền (scan/ảnh hiện trạng) để vẽ theo; không lưu vào project vì dung lượng
+  // underlay: null | { name, href, width, height, base, offset, opacity,
+  //                    locked, includeInExport, cps: [{u,v,x,y}] (chuỗi nhập) }
+  const [underlay, setUnderlay] = useState(null);
+  // underlayPick: null | { i, target: "px" | "xy" } → click canvas kế tiếp gán vào CP i
+  const [underlayPick, setUnderlayPick] = useState(null);
+  const underlayGeoref = useMemo(() => {
+    if (!underlay) return null;
+    const pairs = underlay.cps
+      .filter((cp) =>
+        ["u", "v", "x", "y"].every(
+          (k) => cp[k] !== "" && Number.isFinite(Number(cp[k]))
+        )
+      )
+      .map((cp) => ({
+        u: Number(cp.u),
+        v: Number(cp.v),
+        x: Number(cp.x),
+        y: Number(cp.y),
+      }));
+    const { matrix, error } = georefMatrix(pairs);
+    // offset (kéo tay) chỉ áp cho vị trí ban đầu; đã georeference thì CP quyết định hoàn toàn
+    const m = underlay.base;
+    const [dx, dy] = underlay.offset;
+    return {
+      pairs: pairs.length,
+      georeferenced: !!matrix,
+      error,
+      matrix: matrix || [m[0], m[1], m[2], m[3], m[4] + dx, m[5] + dy],
+    };
+  }, [underlay]);
+  function loadUnderlay(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const img = new Image();
+      img.onload = () => {
+        const w = img.naturalWidth,
+          h = img.naturalHeight;
+        // chưa có điểm khống chế → đặt ảnh vừa khung nhìn hiện tại
+        const s = Math.min(viewBox.w / w, viewBox.h / h);
+        setUnderlay({
+          name: file.name,
+          href: reader.result,
+          width: w,
+          height: h,
+          base: [s, 0, 0, s, viewBox.x, viewBox.y],
+          offset: [0, 0],
+          opacity: 0.5,
+          locked: false,
+          includeInExport: false,
+          cps: [0, 1, 2].map(() => ({ u: "", v: "", x: "", y: "" })),
+        });
+        setUnderlayPick(null);
+      };
+      img.onerror = () =>
+        setImportReport({
+          ok: false,
+          file: file.name,
+          messages: ["Không đọc được ảnh (cần PNG/JPEG)"],
+        });
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  }
+  function updateUnderlay(patch) {
+    setUnderlay((u) => (u ? { ...u, ...patch } : u));
+  }
+  function setUnderlayCp(i, patch) {
+    setUnderlay((u) =>
+      u
+        ? {
+            ...u,
+            cps: u.cps.map((cp, k) => (k === i ? { ...cp, ...patch } : cp)),
+          }
+        : u
+    );
+  }
+
+  // Thematic map: giá trị thuộc tính từng lô → màu + legend (cũng dùng cho PNG)
+  const [lotTheme, setLotTheme] = useState(DEFAULT_LOT_THEME);
+  const lotThemeResult = useMemo(() => {
+    const attr = lotTheme.attribute;
+    const ctx = {
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      frontageRule,
+    };
+    const values = lots.map((l, i) => {
+      if (attr === "area") return shoelaceArea(l.polygon);
+      if (attr === "front_road")
+        return computeFrontRoadForLot(l.polygon, ctx, 3 * __avgUP);
+      if (attr === "land_use") return l.land_use ?? "residential";
+      if (attr === "status") return l.status ?? "available";
+      if (attr === "compliance") {
+        const c = compliance.lots[i];
+        return !c || !c.checks.length ? null : c.pass ? "pass" : "fail";
+      }
+      return null;
+    });
+    return buildLotTheme(values, lotTheme);
+  }, [
+    lotTheme,
+    lots,
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+    compliance,
+    __avgUP,
+  ]);
+  // Kích thước tự động (mặt tiền + chiều sâu) cho mọi lô; không lưu, luôn theo hình học
+  const autoDims = useMemo(() => {
+    if (!autoLotDims) return [];
+    const ctx = {
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      frontageRule,
+    };
+    const tol = 3 * __avgUP;
+    return lots.flatMap((l) =>
+      lotAutoDimensions(
+        l.polygon,
+        computeFrontRoadForLot(l.polygon, ctx, tol),
+        ctx,
+        tol
+      ).map((d, k) => ({
+        ...d,
+        id: `${l.lot_id}-${d.role}-${k + 1}`,
+        lot_id: l.lot_id,
+        auto: true,
+      }))
+    );
+  }, [
+    autoLotDims,
+    lots,
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+    __avgUP,
+  ]);
+
+  function updateLotTheme(key, value) {
+    setLotTheme((t) => ({ ...t, [key]: value }));
+    requestAutosave();
+  }
+
+  // COGO traverse: điểm đầu + danh sách call → boundary (thô hoặc hiệu chỉnh Bowditch)
+  const [travStartX, setTravStartX] = useState(0);
+  const [travStartY, setTravStartY] = useState(0);
+  const [travText, setTravText] = useState("");
+  const traverse = useMemo(() => {
+    const { calls, errors } = parseTraverseCalls(travText);
+    if (!calls.length) return { calls, errors, result: null };
+    const start = [Number(travStartX) || 0, Number(travStartY) || 0];
+    return { calls, errors, result: computeTraverse(start, calls) };
+  }, [travText, travStartX, travStartY]);
+
+  function applyTraverse(adjusted) {
+    const r = traverse.result;
+    if (!r || traverse.errors.length || traverse.calls.length < 2) return;
+    const src = adjusted ? r.adjusted : r.points;
+    // điểm cuối trùng điểm đầu (đã hiệu chỉnh hoặc sai số khép ~0) → bỏ
+    const open =
+      adjusted || r.error <= CLIP_TOL ? src.slice(0, -1) : src.slice();
+    const poly = open.map(([x, y]) => [
+      Number(x.toFixed(2)),
+      Number(y.toFixed(2)),
+    ]);
+    if (poly.length < 3) return;
+    pushHistory();
+    setBoundary(poly);
+    setBoundaryClosed(true);
+    setCurrent([]);
+    setHover(null);
+    fitView(poly);
+  }
+
+  // Lot generator: block = lot/boundary đang chọn, mặt tiền = cạnh đang chọn hoặc tự động
+  const [genWidth, setGenWidth] = useState(10);
+  const [genArea, setGenArea] = useState(0);
+  const [genRemainder, setGenRemainder] = useState("merge"); // merge|flag
+  const [genFrontage, setGenFrontage] = useState("auto"); // auto|selected
+  const [genMessage, setGenMessage] = useState("");
+
+  function getGeneratorBlock() {
+    if (selection?.kind === "lot" && lots[selection.index])
+      return {
+        kind: "lot",
+        index: selection.index,
+        poly: lots[selection.index].polygon,
+      };
+    if (
+      selection?.kind === "boundary" &&
+      boundaryClosed &&
+      boundary.length >= 3
+    )
+      return { kind: "boundary", index: 0, poly: boundary };
+    return null;
+  }
+  function resolveGeneratorFrontage(block) {
+    const ctx = {
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      frontageRule,
+    };
+    const tolUnits = 3 * __avgUP;
+    if (genFrontage === "selected") {
+      if (selection?.edgeIndex == null) return null;
+      return {
+        edgeIndex: selection.edgeIndex,
+        roadId: computeFrontRoadForLot(block.poly, ctx, tolUnits),
+      };
+    }
+    return frontageEdgeForBlock(block.poly, ctx, tolUnits);
+  }
+
+  function onGenerateLots() {
+    const block = getGeneratorBlock();
+    if (!block) {
+      setGenMessage("Chọn 1 lot hoặc boundary (Select/Edit) làm block.");
+      return;
+    }
+    const front = resolveGeneratorFrontage(block);
+    if (!front) {
+      setGenMessage(
+        genFrontage === "selected"
+          ? "Chọn 1 cạnh của block làm mặt tiền."
+          : "Block không chạm road nào — chọn cạnh mặt tiền thủ công."
+      );
+      return;
+    }
+    const pieces = generateLotsAlongFrontage(block.poly, front.edgeIndex, {
+      width: genWidth,
+      area: genArea,
+      remainder: genRemainder,
+    });
+    if (!pieces.length) {
+      setGenMessage("Không chia được — kiểm tra width/area mục tiêu.");
+      return;
+    }
+    const keep =
+      block.kind === "lot" ? lots.filter((_, i) => i !== block.index) : lots;
+    const ids = nextLotIds(
+      pieces.length,
+      keep.map((l) => l.lot_id)
+    );
+    const newLots = pieces.map((pc, i) => ({
+      lot_id: ids[i],
+      polygon: pc.polygon,
+      front_road: front.roadId ?? null,
+      ...(pc.remainder ? { remainder: true } : {}),
+    }));
+    pushHistory();
+    setLots([...keep, ...newLots]);
+    setSelection(null);
+    const flagged = pieces.filter((pc) => pc.remainder).length;
+    setGenMessage(
+      `Đã tạo ${pieces.length} lô${
+        flagged ? ` (${flagged} lô dư được đánh dấu)` : ""
+      }.`
+    );
+  }
+
+  // Lot ops (boolean): A = lot đang chọn, B = Ctrl/⌘+click lô thứ 2
+  const [opLotB, setOpLotB] = useState(null); // lot_id
+  const [opRoadId, setOpRoadId] = useState("");
+  const [opMessage, setOpMessage] = useState("");
+
+  // Thay lot[index] bằng các mảnh: mảnh lớn nhất giữ id + thuộc tính cũ,
+  // mảnh còn lại cấp id mới và thừa hưởng thuộc tính (land use, giá, trạng thái, custom) của lô gốc
+  function lotsWithPieces(ls, index, pieces) {
+    const sorted = [...pieces].sort(
+      (p, q) => shoelaceArea(q) - shoelaceArea(p)
+    );
+    const ids = nextLotIds(
+      sorted.length - 1,
+      ls.map((l) => l.lot_id)
+    );
+    const base = ls[index];
+    const extra = sorted.slice(1).map((poly, i) => ({
+      lot_id: ids[i],
+      polygon: poly,
+      front_road: null,
+      land_use: base.land_use ?? "residential",
+      price_per_m2: base.price_per_m2 ?? null,
+      status: base.status ?? "available",
+      custom_fields: { ...base.custom_fields },
+    }));
+    const u = [...ls];
+    u.splice(index, 1, { ...base, polygon: sorted[0] }, ...extra);
+    return u;
+  }
+
+  // Lot properties: id, land use, giá/m², trạng thái, custom fields
+  const [lotIdDraftError, setLotIdDraftError] = useState("");
+  const [newFieldKey, setNewFieldKey] = useState("");
+  function updateLot(index, patch) {
+    pushHistory();
+    setLots((ls) => {
+      const u = [...ls];
+      u[index] = { ...u[index], ...patch };
+      return u;
+    });
+  }
+  function renameLot(index, raw) {
+    const id = String(raw).trim();
+    const old = lots[index].lot_id;
+    if (id === old) {
+      setLotIdDraftError("");
+      return;
+    }
+    const err = lotIdError(id, lots, index, [...publicRoads, ...internalRoads]);
+    setLotIdDraftError(err || "");
+    if (err) return;
+    updateLot(index, { lot_id: id });
+    if (opLotB === old) setOpLotB(id);
+  }
+  function setLotCustomField(index, key, value) {
+    const cur = lots[index].custom_fields || {};
+    if (cur[key] === value) return;
+    updateLot(index, { custom_fields: { ...cur, [key]: value } });
+  }
+  function removeLotCustomField(index, key) {
+    const { [key]: _drop, ...rest } = lots[index].custom_fields || {};
+    updateLot(index, { custom_fields: rest });
+  }
+
+  function selectedLotIndex() {
+    return selection?.kind === "lot" && lots[selection.index]
+      ? selection.index
+      : -1;
+  }
+
+  function onMergeLots() {
+    const iA = selectedLotIndex();
+    const iB = lots.findIndex((l) => l.lot_id === opLotB);
+    if (iA < 0 || iB < 0 || iA === iB) {
+      setOpMessage("Chọn lô A (Select) và lô B (Ctrl/⌘+click) khác nhau.");
+      return;
+    }
+    const r = polygonBoolean(lots[iA].polygon, lots[iB].polygon, "union");
+    if (r.polygons.length !== 1) {
+      setOpMessage("2 lô không kề/chồng nhau — không gộp được.");
+      return;
+    }
+    if (r.holes.length) {
+      setOpMessage("Kết quả gộp có lỗ — không hỗ trợ.");
+      return;
+    }
+    pushHistory();
+    const u = [...lots];
+    u[iA] = { ...u[iA], polygon: r.polygons[0] };
+    setLots(u.filter((_, i) => i !== iB));
+    setSelection({ kind: "lot", index: iA < iB ? iA : iA - 1 });
+    setOpLotB(null);
+    setOpMessage(`Đã gộp ${lots[iB].lot_id} vào ${lots[iA].lot_id}.`);
+  }
+
+  function applyLotOp(iA, other, op, label) {
+    const r = polygonBoolean(lots[iA].polygon, other, op);
+    if (r.holes.length) {
+      setOpMessage(`${label}: kết quả có lỗ — không hỗ trợ.`);
+      return;
+    }
+    if (!r.polygons.length) {
+      setOpMessage(`${label}: kết quả rỗng — giữ nguyên lô.`);
+      return;
+    }
+    pushHistory();
+    setLots(lotsWithPieces(lots, iA, r.polygons));
+    setSelection({ kind: "lot", index: iA });
+    setOpMessage(`${label}: ${lots[iA].lot_id} → ${r.polygons.length} mảnh.`);
+  }
+
+  function onSubtractRoad() {
+    const iA = selectedLotIndex();
+    const road = internalRoads.find((r) => r.road_id === opRoadId);
+    if (iA < 0 || !road) {
+      setOpMessage("Chọn lô (Select) và internal road.");
+      return;
+    }
+    applyLotOp(
+      iA,
+      road.polygon,
+      "difference",
+      `${lots[iA].lot_id} − ${road.road_id}`
     );
   }
-  function onApplyScalePct() {
-    const s = Number(scalePct) / 100;
-    applyScaleFactor(s);
+
+  function onIntersectBoundary() {
+    const iA = selectedLotIndex();
+    if (iA < 0 || !boundaryClosed || boundary.length < 3) {
+      setOpMessage("Chọn lô (Select) và cần boundary đã đóng.");
+      return;
+    }
+    applyLotOp(iA, boundary, "intersection", `${lots[iA].lot_id} ∩ boundary`);
   }
-  const boundaryArea = boundary.length >= 3 ? shoelaceArea(boundary) : 0;
-  function onScaleToArea() {
-    if (boundaryArea <= 0) return;
-    const t = Number(targetArea);
-    if (!isFinite(t) || t <= 0) return;
-    const s = Math.sqrt(t / boundaryArea);
-    applyScaleFactor(s);
+
+  // Split: cắt lô đang chọn, hoặc mọi lô mà polyline cắt ngang
+  function splitLotsByLine(line) {
+    const iSel = selectedLotIndex();
+    const targets = iSel >= 0 ? [iSel] : lots.map((_, i) => i);
+    let u = [...lots];
+    let count = 0;
+    // duyệt từ cuối để index của lô phía trước không đổi khi chèn mảnh
+    for (const i of [...targets].reverse()) {
+      const pieces = splitPolygonByPolyline(u[i].polygon, line);
+      if (pieces.length < 2) continue;
+      u = lotsWithPieces(u, i, pieces);
+      count++;
+    }
+    if (!count) {
+      setOpMessage(
+        "Split: đường cắt phải cắt ngang qua lô (2 đầu nằm ngoài/ trên biên)."
+      );
+      return;
+    }
+    pushHistory();
+    setLots(u);
+    setOpMessage(`Split: đã cắt ${count} lô.`);
   }
 
   // ViewBox helpers
   function zoomAt(ux, uy, factor) {
-    setViewBox((vb) => {
-      const w2 = vb.w / factor;
-      const h2 = vb.h / factor;
-      const ax = (ux - vb.x) / vb.w;
-      const ay = (uy - vb.y) / vb.h;
-      const x2 = ux - ax * w2;
-      const y2 = uy - ay * h2;
-      return { x: x2, y: y2, w: w2, h: h2 };
-    });
+    setViewBox((vb) => zoomViewBox(vb, ux, uy, factor));
+  }
+
+  // Wheel zoom theo con trỏ: listener native (passive: false) để chặn cuộn trang
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    function onWheel(e) {
+      e.preventDefault();
+      const pt = svg.createSVGPoint();
+      pt.x = e.clientX;
+      pt.y = e.clientY;
+      const { x, y } = pt.matrixTransform(svg.getScreenCTM().inverse());
+      const factor = wheelZoomFactor(e);
+      setViewBox((vb) => zoomViewBox(vb, x, y, factor));
+    }
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, []);
+
+  // Pan (chuột giữa / Space + kéo) và pinch 2 ngón: tính từ view lúc bắt đầu
+  // viewGesture: null | { vb, inv (screen → units), client, dist }
+  const viewGestureRef = useRef(null);
+  // click ngay sau pan không được tính là click vẽ
+  const suppressClickRef = useRef(false);
+  const [panning, setPanning] = useState(false);
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  useEffect(() => {
+    function onKey(ev) {
+      if (ev.code !== "Space") return;
+      if (ev.type === "keyup") return setSpaceHeld(false);
+      // Space trên input / button / select giữ hành vi mặc định
+      if (
+        isTypingInEditable(ev) ||
+        /^(BUTTON|SELECT)$/.test(ev.target?.tagName)
+      )
+        return;
+      ev.preventDefault(); // không cuộn trang
+      setSpaceHeld(true);
+    }
+    const onBlur = () => setSpaceHeld(false);
+    window.addEventListener("keydown", onKey);
+    window.addEventListener("keyup", onKey);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      window.removeEventListener("keyup", onKey);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, []);
+  function beginViewGesture(client, dist = 0) {
+    const svg = svgRef.current;
+    if (!svg) return;
+    viewGestureRef.current = {
+      vb: viewBox,
+      inv: svg.getScreenCTM().inverse(),
+      client,
+      dist,
+    };
+    setPanning(true);
+  }
+  function updateViewGesture(client, factor = 1) {
+    const g = viewGestureRef.current;
+    const svg = svgRef.current;
+    if (!g || !svg) return;
+    const toUnits = ([cx, cy]) => {
+      const pt = svg.createSVGPoint();
+      pt.x = cx;
+      pt.y = cy;
+      const { x, y } = pt.matrixTransform(g.inv);
+      return [x, y];
+    };
+    setViewBox(
+      gestureViewBox(g.vb, toUnits(g.client), toUnits(client), factor)
+    );
+  }
+  function endViewGesture() {
+    viewGestureRef.current = null;
+    setPanning(false);
+  }
+  function touchPair(touches) {
+    const [t1, t2] = [touches[0], touches[1]];
+    return {
+      mid: [(t1.clientX + t2.clientX) / 2, (t1.clientY + t2.clientY) / 2],
+      dist: Math.hypot(t2.clientX - t1.clientX, t2.clientY - t1.clientY),
+    };
+  }
+  function onTouchStart(e) {
+    if (e.touches.length !== 2) return;
+    const { mid, dist } = touchPair(e.touches);
+    if (dragging) endDrag();
+    beginViewGesture(mid, dist);
+    suppressClickRef.current = true;
+  }
+  function onTouchMove(e) {
+    const g = viewGestureRef.current;
+    if (!g?.dist || e.touches.length !== 2) return;
+    const { mid, dist } = touchPair(e.touches);
+    updateViewGesture(mid, dist / g.dist);
+  }
+  function onTouchEnd(e) {
+    if (!viewGestureRef.current?.dist || e.touches.length >= 2) return;
+    e.preventDefault(); // không sinh mouse event giả sau pinch
+    endViewGesture();
   }
   function zoomOutCenter() {
     setViewBox((vb) => {
@@ -1137,8 +5423,7 @@ export default function LandSubdivisionApp() {
     ];
   }
 
-  function fitView() {
-    const pts = getAllPoints();
+  function fitView(pts = getAllPoints()) {
     if (!pts.length) {
       resetView();
       return;
@@ -1230,8 +5515,18 @@ export default function LandSubdivisionApp() {
     let prev = null;
     if (mode === "boundary" && !boundaryClosed && current.length)
       prev = current[current.length - 1];
-    else if ((mode === "internalRoad" || mode === "lot") && current.length)
+    else if (
+      (mode === "internalRoad" ||
+        mode === "lot" ||
+        mode === "split" ||
+        mode === "roadCenterline") &&
+      current.length
+    )
       prev = current[current.length - 1];
+    else if (mode === "measure" && measurePts.length)
+      prev = measurePts[measurePts.length - 1];
+    else if (mode === "annotate" && annotatePts.length)
+      prev = annotatePts[annotatePts.length - 1];
     else if (mode === "publicRoad" && activePublicIdx >= 0) {
       const act = publicRoads[activePublicIdx];
       if (act?.entry_points?.length)
@@ -1246,12 +5541,13 @@ export default function LandSubdivisionApp() {
       ? snapToGrid(aligned, gridStep, gridOrigin, tolUnitsGrid, gridStrict)
       : aligned;
 
+    // layer ẩn/khoá không tham gia snap
     const segments = collectSegments(
-      boundary,
+      layerActive("boundary") ? boundary : [],
       boundaryClosed,
       current,
-      internalRoads,
-      lots
+      layerActive("internalRoads") ? internalRoads : [],
+      layerActive("lots") ? lots : []
     );
     let p2 = p1;
     if (segments && segments.length) {
@@ -1267,21 +5563,45 @@ export default function LandSubdivisionApp() {
     }
 
     const pools = [];
-    if (boundary.length) pools.push(boundary);
-    for (const pr of publicRoads)
-      if (pr.entry_points.length) pools.push(pr.entry_points);
+    if (boundary.length && layerActive("boundary")) pools.push(boundary);
+    if (layerActive("publicRoads"))
+      for (const pr of publicRoads)
+        if (pr.entry_points.length) pools.push(pr.entry_points);
     if (current.length) {
       const poolExceptLast = current.slice(0, -1);
       if (poolExceptLast.length) pools.push(poolExceptLast);
     }
-    for (const r of internalRoads) pools.push(r.polygon);
-    for (const l of lots) pools.push(l.polygon);
+    if (layerActive("internalRoads"))
+      for (const r of internalRoads) pools.push(r.polygon);
+    if (layerActive("lots")) for (const l of lots) pools.push(l.polygon);
 
     return snapToPools(p2, pools, snapTol * __avgUP);
   }
 
   // ------------- Drawing clicks -------------
   function onCanvasClick(e) {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+    // đang lấy điểm khống chế cho ảnh nền: px = toạ độ pixel trên ảnh đang hiển thị
+    if (underlayPick && underlayGeoref) {
+      const { i, target } = underlayPick;
+      if (target === "px") {
+        const raw = clientToSvg(e);
+        const uv = raw && invertAffine(underlayGeoref.matrix, raw);
+        if (uv) setUnderlayCp(i, { u: uv[0].toFixed(1), v: uv[1].toFixed(1) });
+      } else {
+        const p = computePreviewPoint(e);
+        if (p)
+          setUnderlayCp(i, {
+            x: String(Number(p[0].toFixed(3))),
+            y: String(Number(p[1].toFixed(3))),
+          });
+      }
+      setUnderlayPick(null);
+      return;
+    }
     if (mode === "select") {
       // selection handled in pointer down (drag start). No action here to avoid deselect-on-click.
       return;
@@ -1290,6 +5610,30 @@ export default function LandSubdivisionApp() {
     const p = computePreviewPoint(e);
     if (!p) return;
 
+    if (mode === "measure") {
+      if (measureTool === "area") {
+        // probe theo điểm click thô (điểm snap có thể nằm đúng trên cạnh)
+        const raw = clientToSvg(e);
+        setMeasureProbe(raw ? probePolygonAt(raw) : null);
+      } else if (measureTool === "angle") {
+        // đủ 3 điểm rồi thì click tiếp = bắt đầu góc mới
+        setMeasurePts((pts) => (pts.length >= 3 ? [p] : dedupPush(pts, p)));
+      } else {
+        setMeasurePts((pts) => dedupPush(pts, p));
+      }
+      return;
+    }
+    if (mode === "annotate") {
+      const pts = dedupPush(annotatePts, p);
+      if (pts.length < ANNOTATION_MIN_POINTS[annotateTool]) {
+        setAnnotatePts(pts);
+        return;
+      }
+      addAnnotation("A", newAnnotation(annotateTool, pts));
+      setAnnotatePts([]);
+      return;
+    }
+
     if (mode === "boundary") {
       if (boundaryClosed) return;
       setCurrent((cur) => dedupPush(cur, p));
@@ -1327,12 +5671,22 @@ export default function LandSubdivisionApp() {
         updated[idx] = { ...r, entry_points: [...r.entry_points, snapped] };
         return updated;
       });
-    } else if (mode === "internalRoad" || mode === "lot") {
+    } else if (
+      mode === "internalRoad" ||
+      mode === "lot" ||
+      mode === "split" ||
+      mode === "roadCenterline"
+    ) {
       setCurrent((cur) => dedupPush(cur, p));
     }
   }
 
   function onMouseMove(e) {
+    if (viewGestureRef.current) {
+      if (!viewGestureRef.current.dist)
+        updateViewGesture([e.clientX, e.clientY]);
+      return;
+    }
     const p = computePreviewPoint(e);
     setHover(p);
 
@@ -1344,6 +5698,8 @@ export default function LandSubdivisionApp() {
   }
 
   function onMouseLeave() {
+    if (viewGestureRef.current && !viewGestureRef.current.dist)
+      endViewGesture();
     setHover(null);
     setCursorPos((cp) => ({ ...cp, show: false })); // NEW
     if (dragging) endDrag();
@@ -1369,6 +5725,8 @@ export default function LandSubdivisionApp() {
         ? estimateRoadWidth(poly)
         : internalWidthDefault;
 
+      pushHistory();
+
       setInternalRoads((rs) => [
         ...rs,
         {
@@ -1387,13 +5745,105 @@ export default function LandSubdivisionApp() {
       if (autoScaleNew && autoApplyTo.lot)
         poly = scalePolygonToArea(poly, Number(autoTargetArea));
       const id = nextLotId();
+      pushHistory();
       setLots((ls) => [...ls, { lot_id: id, polygon: poly, front_road: null }]);
       setCurrent([]);
       setHover(null);
+    } else if (mode === "roadCenterline" && current.length >= 2) {
+      const road = {
+        road_id: nextInternalRoadId(),
+        is_public: false,
+        width: internalWidthDefault,
+        centerline: current,
+        join: clJoin,
+        cap_start: clCapStart,
+        cap_end: clCapEnd,
+        bulb_radius: clBulbRadius,
+        connected_to_public_road: true,
+        road_to_lot_mapping: [],
+      };
+      const poly = roadPolygonFromCenterline(road);
+      if (poly.length < 3) return;
+      pushHistory();
+      setInternalRoads((rs) => [...rs, { ...road, polygon: poly }]);
+      setCurrent([]);
+      setHover(null);
+    } else if (mode === "split" && current.length >= 2) {
+      splitLotsByLine(current);
+      setCurrent([]);
+      setHover(null);
     }
   }
 
+  // ---- Measure ----
+  // Polygon (đang hiện) chứa điểm: lot → internal road → boundary
+  function probePolygonAt(pt) {
+    const cands = [];
+    if (layers.lots.visible)
+      for (const l of lots) cands.push([l.lot_id, l.polygon]);
+    if (layers.internalRoads.visible)
+      for (const r of internalRoads) cands.push([r.road_id, r.polygon]);
+    if (layers.boundary.visible && boundaryClosed)
+      cands.push(["Boundary", boundary]);
+    const hit = cands.find(
+      ([, poly]) => poly.length >= 3 && pointInPolygon(pt, poly)
+    );
+    return hit
+      ? measureFromPoints("area", stripClosingDuplicate(hit[1]), hit[0])
+      : null;
+  }
+  function currentMeasure() {
+    if (measureTool === "area") return measureProbe;
+    return measureFromPoints(
+      measureTool === "angle" ? "angle" : "dimension",
+      measurePts
+    );
+  }
+  function resetMeasure() {
+    setMeasurePts([]);
+    setMeasureProbe(null);
+  }
+  function pinMeasure() {
+    const m = currentMeasure();
+    if (!m) return;
+    addAnnotation("M", m);
+    resetMeasure();
+  }
+  // id dạng <prefix><n> chưa dùng (M = kết quả đo, A = ghi chú)
+  function addAnnotation(prefix, a) {
+    pushHistory();
+    setAnnotations((list) => {
+      const used = new Set(list.map((x) => x.id));
+      let n = list.length + 1;
+      while (used.has(`${prefix}${n}`)) n++;
+      return [...list, { id: `${prefix}${n}`, ...a }];
+    });
+  }
+  function removeAnnotation(id) {
+    pushHistory();
+    setAnnotations((list) => list.filter((a) => a.id !== id));
+    if (selection?.kind === "annotation") setSelection(null);
+  }
+  function updateAnnotation(index, patch) {
+    pushHistory();
+    setAnnotations((list) =>
+      list.map((a, i) =>
+        i === index ? refreshAnnotation({ ...a, ...patch }) : a
+      )
+    );
+  }
+
+  // ---- Annotate ----
+  // Annotation mới từ các điểm vừa click (offset / cỡ theo px màn hình hiện tại)
+  function newAnnotation(type, pts) {
+    if (type === "aligned")
+      return refreshAnnotation({ type, points: pts, offset: 16 * __avgUP });
+    if (type === "north") return { type, points: pts, rotation: 0 };
+    return { type, points: pts, text: annotateText };
+  }
+
   function clearAll() {
+    pushHistory();
     setCurrent([]);
     setBoundary([]);
     setBoundaryClosed(false);
@@ -1401,12 +5851,250 @@ export default function LandSubdivisionApp() {
     setActivePublicIdx(-1);
     setInternalRoads([]);
     setLots([]);
+    setAnnotations([]);
+    resetMeasure();
     setSelection(null);
     setDragging(null);
     setHover(null);
   }
 
+  // Vẽ 1 kết quả đo (đang đo hoặc đã ghim); kích thước nét/chữ cố định theo px
+  function drawMeasure(m, key, color = "#0f766e") {
+    const pts = m.points;
+    const label = measureLabel(m);
+    let anchor;
+    let shape;
+    if (m.type === "area") {
+      anchor = polygonCentroid(pts);
+      shape = (
+        <polygon
+          points={pts.map((p) => p.join(",")).join(" ")}
+          fill={`${color}22`}
+          stroke={color}
+          strokeWidth={2}
+          strokeDasharray="6 3"
+          vectorEffect="non-scaling-stroke"
+        />
+      );
+    } else if (m.type === "angle") {
+      const [a, b, c] = pts;
+      const t1 = Math.atan2(a[1] - b[1], a[0] - b[0]);
+      let dt = Math.atan2(c[1] - b[1], c[0] - b[0]) - t1;
+      if (dt > Math.PI) dt -= 2 * Math.PI;
+      if (dt <= -Math.PI) dt += 2 * Math.PI;
+      const r = Math.min(
+        24 * __avgUP,
+        0.4 * distance(a, b),
+        0.4 * distance(b, c)
+      );
+      const at = (t, rr) => [b[0] + rr * Math.cos(t), b[1] + rr * Math.sin(t)];
+      const [s0, s1] = [at(t1, r), at(t1 + dt, r)];
+      anchor = at(t1 + dt / 2, r + 10 * __avgUP);
+      shape = (
+        <>
+          <polyline
+            points={pts.map((p) => p.join(",")).join(" ")}
+            fill="none"
+            stroke={color}
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          />
+          <path
+            d={`M ${s0[0]} ${s0[1]} A ${r} ${r} 0 0 ${dt > 0 ? 1 : 0} ${
+              s1[0]
+            } ${s1[1]}`}
+            fill="none"
+            stroke={color}
+            strokeWidth={1.5}
+            vectorEffect="non-scaling-stroke"
+          />
+        </>
+      );
+    } else {
+      const k = Math.floor((pts.length - 1) / 2);
+      anchor = [
+        (pts[k][0] + pts[k + 1][0]) / 2,
+        (pts[k][1] + pts[k + 1][1]) / 2,
+      ];
+      shape = (
+        <>
+          <polyline
+            points={pts.map((p) => p.join(",")).join(" ")}
+            fill="none"
+            stroke={color}
+            strokeWidth={2}
+            strokeDasharray="6 3"
+            vectorEffect="non-scaling-stroke"
+          />
+          {pts.map((p, i) => (
+            <circle
+              key={i}
+              cx={p[0]}
+              cy={p[1]}
+              r={R_POINT * 0.8}
+              fill={color}
+            />
+          ))}
+        </>
+      );
+    }
+    return (
+      <g key={key} pointerEvents="none">
+        {shape}
+        <text
+          x={anchor[0] + DX_LABEL / 2}
+          y={anchor[1] - DY_LABEL / 2}
+          fontSize={FONT_UNIT}
+          fill={color}
+          fontWeight="bold"
+        >
+          {label}
+        </text>
+      </g>
+    );
+  }
+
+  // Đường kích thước song song cạnh a→b, lệch `off` (units) theo pháp tuyến trái;
+  // off rỗng (kích thước tự động) = 16 px màn hình
+  function alignedDimParts(a, b, off) {
+    const o = off ?? 16 * __avgUP;
+    const { d: u, n } = normDirFromEdge(a, b);
+    return {
+      u,
+      n,
+      o,
+      sign: o < 0 ? -1 : 1,
+      A1: [a[0] + n[0] * o, a[1] + n[1] * o],
+      B1: [b[0] + n[0] * o, b[1] + n[1] * o],
+    };
+  }
+
+  // Vẽ annotation ghi chú (aligned / leader / text / north); kết quả đo → drawMeasure
+  function drawAnnotation(a, key, color = "#6d28d9") {
+    if (a.type in MEASURE_TYPES) return drawMeasure(a, key);
+    const px = __avgUP;
+    const line = (p, q, k, extra = {}) => (
+      <line
+        key={k}
+        x1={p[0]}
+        y1={p[1]}
+        x2={q[0]}
+        y2={q[1]}
+        stroke={color}
+        strokeWidth={1}
+        vectorEffect="non-scaling-stroke"
+        {...extra}
+      />
+    );
+    let body;
+    if (a.type === "aligned") {
+      const [p0, p1] = a.points;
+      const { u, n, sign, A1, B1 } = alignedDimParts(p0, p1, a.offset);
+      const at = (q, k) => [q[0] + n[0] * k, q[1] + n[1] * k];
+      // vạch chéo 45° ở 2 đầu đường kích thước
+      const t = [(u[0] + n[0]) * 4 * px, (u[1] + n[1]) * 4 * px];
+      const mid = [(A1[0] + B1[0]) / 2, (A1[1] + B1[1]) / 2];
+      let deg = (Math.atan2(u[1], u[0]) * 180) / Math.PI;
+      if (deg > 90) deg -= 180;
+      if (deg <= -90) deg += 180;
+      body = (
+        <>
+          {line(at(p0, sign * 2 * px), at(A1, sign * 4 * px), "e0")}
+          {line(at(p1, sign * 2 * px), at(B1, sign * 4 * px), "e1")}
+          {line(A1, B1, "d")}
+          {[A1, B1].map((q, k) =>
+            line(
+              [q[0] - t[0], q[1] - t[1]],
+              [q[0] + t[0], q[1] + t[1]],
+              `t${k}`,
+              { strokeWidth: 1.5 }
+            )
+          )}
+          <text
+            x={mid[0]}
+            y={mid[1] - 3 * px}
+            transform={`rotate(${deg} ${mid[0]} ${mid[1]})`}
+            textAnchor="middle"
+            fontSize={FONT_UNIT}
+            fill={color}
+          >
+            {measureLabel(a)}
+          </text>
+        </>
+      );
+    } else if (a.type === "leader") {
+      const [tip, elbow] = a.points;
+      const L = distance(tip, elbow) || 1;
+      const v = [(tip[0] - elbow[0]) / L, (tip[1] - elbow[1]) / L];
+      const base = [tip[0] - v[0] * 8 * px, tip[1] - v[1] * 8 * px];
+      const w = [-v[1] * 3 * px, v[0] * 3 * px];
+      body = (
+        <>
+          {line(elbow, base, "l")}
+          <polygon
+            points={[
+              tip,
+              [base[0] + w[0], base[1] + w[1]],
+              [base[0] - w[0], base[1] - w[1]],
+            ]
+              .map((q) => q.join(","))
+              .join(" ")}
+            fill={color}
+          />
+          <text
+            x={elbow[0] + 2 * px}
+            y={elbow[1] - 2 * px}
+            fontSize={FONT_UNIT}
+            fill={color}
+          >
+            {a.text}
+          </text>
+        </>
+      );
+    } else if (a.type === "text") {
+      const [x, y] = a.points[0];
+      body = (
+        <text x={x} y={y} fontSize={FONT_UNIT} fill={color}>
+          {a.text}
+        </text>
+      );
+    } else if (a.type === "north") {
+      const [x, y] = a.points[0];
+      body = (
+        <g transform={`rotate(${a.rotation || 0} ${x} ${y})`}>
+          <polygon
+            points={[
+              [x, y - 18 * px],
+              [x + 7 * px, y + 8 * px],
+              [x, y + 3 * px],
+              [x - 7 * px, y + 8 * px],
+            ]
+              .map((q) => q.join(","))
+              .join(" ")}
+            fill={color}
+          />
+          <text
+            x={x}
+            y={y - 21 * px}
+            textAnchor="middle"
+            fontSize={FONT_UNIT}
+            fontWeight="bold"
+            fill={color}
+          >
+            N
+          </text>
+        </g>
+      );
+    }
+    return (
+      <g key={key} pointerEvents="none">
+        {body}
+      </g>
+    );
+  }
+
   function drawPointLabels(poly, color = "#555") {
+    if (!layers.labels.visible) return null;
     return poly.map((p, i) => (
       <text
         key={`ptlabel-${i}-${p[0]}-${p[1]}`}
@@ -1414,6 +6102,7 @@ export default function LandSubdivisionApp() {
         y={p[1] + DY_LABEL}
         fontSize={FONT_UNIT * 0.8}
         fill={color}
+        opacity={layers.labels.opacity}
       >
         ({p[0].toFixed(1)}, {p[1].toFixed(1)})
       </text>
@@ -1430,6 +6119,9 @@ export default function LandSubdivisionApp() {
     const exportH = Math.round(exportW * aspect);
 
     const clone = svg.cloneNode(true);
+    // ảnh nền chỉ xuất khi bật "Include in PNG"
+    if (!underlay?.includeInExport)
+      clone.querySelectorAll("[data-underlay]").forEach((n) => n.remove());
     clone.removeAttribute("class");
     clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
     clone.setAttribute("viewBox", `${vb.x} ${vb.y} ${vb.w} ${vb.h}`);
@@ -1485,7 +6177,52 @@ export default function LandSubdivisionApp() {
     img.onerror = () => URL.revokeObjectURL(url);
     img.src = url;
   }
+  // Validation (topology)
+  const [validationIssues, setValidationIssues] = useState(null); // null = chưa chạy
+  const [blockExportOnErrors, setBlockExportOnErrors] = useState(false);
+  const [focusedIssue, setFocusedIssue] = useState(null);
+
+  function runValidation() {
+    const issues = validatePlan({
+      boundary,
+      boundaryClosed,
+      internalRoads,
+      lots,
+    });
+    setValidationIssues(issues);
+    setFocusedIssue(null);
+    return issues;
+  }
+
+  // index lúc validate có thể đã lệch (xoá / thêm lô) → tìm lại theo id
+  function issueTargetIndex(t) {
+    if (t.kind === "lot") return lots.findIndex((l) => l.lot_id === t.id);
+    if (t.kind === "internal")
+      return internalRoads.findIndex((r) => r.road_id === t.id);
+    return t.index;
+  }
+  function focusIssue(issue) {
+    setFocusedIssue(issue);
+    const t = issue.targets[0];
+    const index = t ? issueTargetIndex(t) : -1;
+    if (index >= 0) {
+      setMode("select");
+      setSelection({ kind: t.kind, index });
+    }
+    if (issue.focus?.length) fitView(issue.focus);
+  }
+
   function exportJSON() {
+    if (blockExportOnErrors) {
+      const issues = runValidation();
+      const errors = issues.filter((i) => i.severity === "error").length;
+      if (errors) {
+        alert(
+          `Export bị chặn: ${errors} lỗi validation (xem panel Validation). Bỏ chọn "Block export on errors" để vẫn xuất.`
+        );
+        return;
+      }
+    }
     // Boundary: sắp xếp CCW + đóng vòng nếu đủ điểm
     const boundaryOpen = normalizeCCW(boundary);
     const boundaryClosedLoop =
@@ -1497,6 +6234,7 @@ export default function LandSubdivisionApp() {
       boundaryClosed: boundaryOpen.length >= 3,
       publicRoads,
       internalRoads,
+      frontageRule,
     };
     const tolUnits = 3 * __avgUP;
 
@@ -1505,8 +6243,26 @@ export default function LandSubdivisionApp() {
       const id = l.lot_id ?? `${landId}-${String(idx + 1).padStart(2, "0")}`;
       const polyOpen = normalizeCCW(l.polygon);
       const area = Number(shoelaceArea(polyOpen).toFixed(1));
-      const front = computeFrontRoadForLot(polyOpen, ctx, tolUnits) ?? null;
-      return { id, polygonOpen: polyOpen, area, front };
+      const frontages = lotFrontages(polyOpen, ctx, tolUnits);
+      const front = primaryFrontage(frontages, frontageRule)?.road_id ?? null;
+      return {
+        id,
+        polygonOpen: polyOpen,
+        area,
+        front,
+        frontages: frontages.map((f) => ({
+          road_id: f.road_id,
+          length: Number(f.length.toFixed(2)),
+        })),
+        remainder: !!l.remainder,
+        envelope: lotEnvelopes[idx],
+        attrs: {
+          land_use: l.land_use ?? "residential",
+          price_per_m2: l.price_per_m2 ?? null,
+          status: l.status ?? "available",
+          custom_fields: l.custom_fields ?? {},
+        },
+      };
     });
 
     // Public roads giữ nguyên EPs
@@ -1514,6 +6270,9 @@ export default function LandSubdivisionApp() {
       const lotIds = lotInfos
         .filter((li) => li.front === pr.road_id)
         .map((li) => li.id);
+      const row = normalizeCCW(
+        publicRoadCorridor(pr, boundary, boundaryClosed)
+      );
       return {
         road_id: pr.road_id,
         is_public: true,
@@ -1521,47 +6280,510 @@ export default function LandSubdivisionApp() {
         entry_points: pr.entry_points,
         connected_to_public_road: null,
         road_to_lot_mapping: lotIds,
+        // dải right-of-way: polygon hành lang (đóng vòng) sinh từ EP + width
+        right_of_way: row.length >= 3 ? ensureClosedLoop(row) : [],
+      };
+    });
+
+    // Internal roads: chuẩn hoá CCW + đóng vòng
+    const internalRoadsOut = internalRoads.map((r) => {
+      const polyOpen = normalizeCCW(r.polygon);
+      const lotIds = lotInfos
+        .filter((li) => li.front === r.road_id)
+        .map((li) => li.id);
+      return {
+        road_id: r.road_id,
+        polygon: polyOpen.length >= 3 ? ensureClosedLoop(polyOpen) : polyOpen,
+        is_public: false,
+        width: Number(r.width ?? internalWidthDefault),
+        connected_to_public_road: true,
+        road_to_lot_mapping: lotIds,
+        ...(r.centerline
+          ? {
+              centerline: r.centerline,
+              join: r.join,
+              cap_start: r.cap_start,
+              cap_end: r.cap_end,
+              bulb_radius: r.bulb_radius,
+            }
+          : {}),
       };
     });
 
-    // Internal roads: chuẩn hoá CCW + đóng vòng
-    const internalRoadsOut = internalRoads.map((r) => {
-      const polyOpen = normalizeCCW(r.polygon);
-      const lotIds = lotInfos
-        .filter((li) => li.front === r.road_id)
-        .map((li) => li.id);
+    const out = {
+      input: {
+        land_id: landId,
+        boundary: boundaryClosedLoop,
+        roads: publicRoadsOut,
+      },
+      output: {
+        internal_roads: internalRoadsOut,
+        lots: lotInfos.map((li) => ({
+          lot_id: li.id,
+          polygon:
+            li.polygonOpen.length >= 3
+              ? ensureClosedLoop(li.polygonOpen)
+              : li.polygonOpen,
+          area: li.area,
+          front_road: li.front,
+          frontages: li.frontages,
+          landlocked: !li.frontages.length,
+          ...(li.remainder ? { remainder: true } : {}),
+          land_use: li.attrs.land_use,
+          price_per_m2: li.attrs.price_per_m2,
+          status: li.attrs.status,
+          custom_fields: li.attrs.custom_fields,
+          buildable_envelope:
+            li.envelope.polygon.length >= 3
+              ? ensureClosedLoop(li.envelope.polygon)
+              : [],
+          envelope_area: li.envelope.area,
+          coverage_ratio: li.envelope.coverage,
+          ...(li.envelope.flag ? { envelope_flag: li.envelope.flag } : {}),
+        })),
+        annotations: [...annotations, ...autoDims].map((a) => ({
+          id: a.id,
+          type: a.type,
+          points: a.type === "area" ? ensureClosedLoop(a.points) : a.points,
+          ...(a.value != null ? { value: a.value } : {}),
+          ...(a.type === "area"
+            ? { perimeter: a.perimeter, target: a.target }
+            : {}),
+          ...(a.type === "aligned" ? { offset: a.offset ?? null } : {}),
+          ...(a.text != null ? { text: a.text } : {}),
+          ...(a.type === "north" ? { rotation: a.rotation } : {}),
+          ...(a.auto ? { auto: true, lot_id: a.lot_id, role: a.role } : {}),
+        })),
+      },
+    };
+
+    // Compliance theo rule-set hiện tại
+    out.compliance = {
+      rule_set: {
+        name: zoningRules.name,
+        min_lot_area: Number(zoningRules.minLotArea) || 0,
+        min_frontage: Number(zoningRules.minFrontage) || 0,
+        max_depth_ratio: Number(zoningRules.maxDepthRatio) || 0,
+        min_road_width: Number(zoningRules.minRoadWidth) || 0,
+      },
+      passed: compliance.pass,
+      lots: compliance.lots,
+      roads: compliance.roads,
+    };
+    out.land_use_budget = landBudget;
+
+    download(`${landId}_subdivision.json`, JSON.stringify(out, null, 2));
+    exportPNG();
+  }
+
+  // GeoJSON: gốc toạ độ + CRS để quy đổi đơn vị canvas ↔ mét (lưu cùng project)
+  const [geoCrs, setGeoCrs] = useState(DEFAULT_GEO_CRS);
+  function updateGeoCrs(key, value) {
+    setGeoCrs((c) => ({ ...c, [key]: value }));
+    requestAutosave();
+  }
+  function exportGeoJSON() {
+    const gj = buildGeoJSON(
+      {
+        landId,
+        boundary,
+        boundaryClosed,
+        publicRoads,
+        internalRoads,
+        lots,
+        frontageRule,
+      },
+      geoCrs,
+      3 * __avgUP
+    );
+    download(`${landId}_subdivision.geojson`, JSON.stringify(gj, null, 2));
+  }
+
+  // DXF: xuất theo layer; nhập polyline từ các layer được chọn
+  const [dxfImport, setDxfImport] = useState(null); // null | { file, parsed, targets: {layer: ""|"boundary"|"internal"|"lots"}, scale }
+  function exportDXF() {
+    const pts = getAllPoints();
+    let textHeight = 1;
+    if (pts.length) {
+      const xs = pts.map((p) => p[0]),
+        ys = pts.map((p) => p[1]);
+      const ext = Math.max(
+        Math.max(...xs) - Math.min(...xs),
+        Math.max(...ys) - Math.min(...ys)
+      );
+      textHeight = Math.max(0.2, Number((ext / 120).toFixed(2)));
+    }
+    download(
+      `${landId}_subdivision.dxf`,
+      buildDXF(
+        { boundary, boundaryClosed, publicRoads, internalRoads, lots },
+        textHeight
+      )
+    );
+  }
+
+  // Plan sheet: bản vẽ khổ giấy đúng tỉ lệ → SVG độc lập / PDF qua hộp thoại in
+  const [sheetOpts, setSheetOpts] = useState(DEFAULT_SHEET);
+  function updateSheetOpts(key, value) {
+    setSheetOpts((s) => ({ ...s, [key]: value }));
+    requestAutosave();
+  }
+  // Hành lang đường công cộng: vừa vẽ lên bản vẽ, vừa tính vào khung khi tìm tỉ lệ vừa
+  const sheetCorridors = useMemo(
+    () =>
+      publicRoads
+        .map((pr) => publicRoadCorridor(pr, boundary, boundaryClosed))
+        .filter((row) => row.length >= 3),
+    [publicRoads, boundary, boundaryClosed]
+  );
+  function makePlanSheet() {
+    const ctx = {
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      frontageRule,
+    };
+    const lotRows = lots.map((l) => ({
+      id: l.lot_id,
+      area: shoelaceArea(l.polygon),
+      front: computeFrontRoadForLot(l.polygon, ctx, 3 * __avgUP),
+    }));
+    const legend = lotThemeResult.legend.length
+      ? lotThemeResult.legend.map((e) => ({
+          label: `${e.label} (${e.count})`,
+          color: e.color,
+        }))
+      : [
+          { label: "Lot", color: "#dbeafe" },
+          { label: "Internal road", color: "#fde68a" },
+          { label: "Public road", color: "#e5e7eb" },
+        ];
+    return buildPlanSheetSVG(
+      {
+        boundary,
+        boundaryClosed,
+        corridors: sheetCorridors,
+        internalRoads,
+        lots,
+        lotColors: lots.map((_, i) => lotThemeResult.colors[i]),
+        lotRows,
+        legend,
+      },
+      sheetOpts,
+      {
+        landId,
+        projectName,
+        date: localDateString(new Date()),
+        author: sheetOpts.author,
+      }
+    );
+  }
+  const sheetFit = useMemo(() => {
+    const ext = planExtent({
+      boundary,
+      corridors: sheetCorridors,
+      internalRoads,
+      lots,
+    });
+    return sheetFitScale(ext, sheetLayout(sheetOpts).view);
+  }, [boundary, sheetCorridors, internalRoads, lots, sheetOpts]);
+  function exportSheetSVG() {
+    const { svg } = makePlanSheet();
+    download(
+      `${landId}_sheet_${sheetOpts.paper}_1-${sheetOpts.scale}.svg`,
+      svg,
+      "image/svg+xml"
+    );
+  }
+  // PDF vector: mở cửa sổ in với @page đúng khổ giấy → "Save as PDF"
+  function printSheetPDF() {
+    const { svg } = makePlanSheet();
+    const { W, H } = sheetLayout(sheetOpts);
+    const w = window.open("", "_blank");
+    if (!w) {
+      alert("Trình duyệt đã chặn cửa sổ in (popup).");
+      return;
+    }
+    w.document.write(
+      `<!doctype html><html><head><title>${xmlEscape(
+        `${landId} 1:${sheetOpts.scale}`
+      )}</title><style>@page { size: ${W}mm ${H}mm; margin: 0 } html, body { margin: 0 } svg { display: block; width: ${W}mm; height: ${H}mm }</style></head><body>${svg.replace(
+        /^<\?xml[^>]*>\s*/,
+        ""
+      )}</body></html>`
+    );
+    w.document.close();
+    w.focus();
+    setTimeout(() => w.print(), 250);
+  }
+
+  // Lot schedule: bảng lô (sắp xếp / lọc / dòng tổng) + xuất CSV / XLSX
+  const [scheduleSort, setScheduleSort] = useState({ key: "lot_id", dir: 1 });
+  const [scheduleFilter, setScheduleFilter] = useState("");
+  const lotSchedule = useMemo(
+    () =>
+      lotScheduleRows(
+        {
+          boundary,
+          boundaryClosed,
+          publicRoads,
+          internalRoads,
+          lots,
+          frontageRule,
+        },
+        3 * __avgUP
+      ),
+    [
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      lots,
+      frontageRule,
+      __avgUP,
+    ]
+  );
+  const scheduleView = useMemo(() => {
+    const rows = sortScheduleRows(
+      filterScheduleRows(lotSchedule.rows, lotSchedule.columns, scheduleFilter),
+      scheduleSort.key,
+      scheduleSort.dir
+    );
+    return { rows, totals: scheduleTotals(rows, boundaryArea) };
+  }, [lotSchedule, scheduleFilter, scheduleSort, boundaryArea]);
+  function toggleScheduleSort(key) {
+    setScheduleSort((s) =>
+      s.key === key ? { key, dir: -s.dir } : { key, dir: 1 }
+    );
+  }
+  function selectScheduleRow(index) {
+    if (!layerActive("lots")) return;
+    setMode("select");
+    setSelection({ kind: "lot", index });
+  }
+  function exportSchedule(format) {
+    const table = scheduleTable(
+      lotSchedule.columns,
+      scheduleView.rows,
+      scheduleView.totals
+    );
+    if (format === "xlsx")
+      download(
+        `${landId}_lots.xlsx`,
+        buildXLSX(table, `${landId} lots`),
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+    // BOM để Excel nhận UTF-8 (m², tiếng Việt)
+    else download(`${landId}_lots.csv`, `\uFEFF${toCSV(table)}`, "text/csv");
+  }
+
+  function applyDxfImport() {
+    const { file, parsed, targets } = dxfImport;
+    const s = Number(dxfImport.scale) > 0 ? Number(dxfImport.scale) : 1;
+    const messages = [...parsed.warnings];
+    const picked = { boundary: [], internal: [], lots: [] };
+    for (const pl of parsed.polylines) {
+      const t = targets[pl.layer];
+      if (!t) continue;
+      const pts = stripClosingDuplicate(
+        pl.points.map(([x, y]) => [
+          Number((x * s).toFixed(2)) + 0,
+          Number((y * s).toFixed(2)) + 0,
+        ])
+      );
+      if (pts.length < 3) {
+        messages.push(`${pl.layer}: bỏ qua polyline < 3 đỉnh`);
+        continue;
+      }
+      if (!pl.closed) messages.push(`${pl.layer}: polyline hở được đóng lại`);
+      picked[t].push(pts);
+    }
+    const total =
+      picked.boundary.length + picked.internal.length + picked.lots.length;
+    if (!total) {
+      setImportReport({
+        ok: false,
+        file,
+        messages: ["Không có polyline nào ở các layer đã chọn", ...messages],
+      });
+      return;
+    }
+    pushHistory();
+    if (picked.boundary.length) {
+      // nhiều polyline ranh → lấy cái lớn nhất
+      const b = picked.boundary.reduce((a, c) =>
+        shoelaceArea(c) > shoelaceArea(a) ? c : a
+      );
+      if (picked.boundary.length > 1)
+        messages.push(
+          `boundary: ${picked.boundary.length} polyline → dùng polyline lớn nhất`
+        );
+      setBoundary(b);
+      setBoundaryClosed(true);
+    }
+    const usedRoadIds = new Set([
+      ...internalRoads.map((r) => r.road_id),
+      ...publicRoads.map((r) => r.road_id),
+    ]);
+    const newRoads = picked.internal.map((poly) => {
+      let n = 1;
+      while (usedRoadIds.has(`R${String(n).padStart(3, "0")}`)) n++;
+      const road_id = `R${String(n).padStart(3, "0")}`;
+      usedRoadIds.add(road_id);
       return {
-        road_id: r.road_id,
-        polygon: polyOpen.length >= 3 ? ensureClosedLoop(polyOpen) : polyOpen,
+        road_id,
+        polygon: poly,
         is_public: false,
-        width: Number(r.width ?? internalWidthDefault),
+        width: estimateRoadWidth(poly),
         connected_to_public_road: true,
-        road_to_lot_mapping: lotIds,
+        road_to_lot_mapping: [],
       };
     });
+    const lotIds = nextLotIds(picked.lots.length);
+    const newLots = picked.lots.map((poly, i) => ({
+      lot_id: lotIds[i],
+      polygon: poly,
+      front_road: null,
+    }));
+    setInternalRoads((rs) => [...rs, ...newRoads]);
+    setLots((ls) => [...ls, ...newLots]);
+    setDxfImport(null);
+    fitView([
+      ...getAllPoints(),
+      ...picked.boundary.flat(),
+      ...picked.internal.flat(),
+      ...picked.lots.flat(),
+    ]);
+    setImportReport({
+      ok: true,
+      file,
+      messages: [
+        `DXF ×${s}: boundary ${picked.boundary.length ? "1" : "0"}, ${
+          newRoads.length
+        } internal road, ${newLots.length} lot`,
+        ...messages,
+      ],
+    });
+  }
 
-    const out = {
-      input: {
-        land_id: landId,
-        boundary: boundaryClosedLoop,
-        roads: publicRoadsOut,
-      },
-      output: {
-        internal_roads: internalRoadsOut,
-        lots: lotInfos.map((li) => ({
-          lot_id: li.id,
-          polygon:
-            li.polygonOpen.length >= 3
-              ? ensureClosedLoop(li.polygonOpen)
-              : li.polygonOpen,
-          area: li.area,
-          front_road: li.front,
-        })),
-      },
-    };
+  // Import: nạp lại file JSON đã export (file picker hoặc kéo-thả vào canvas)
+  const importInputRef = useRef(null);
+  const [importReport, setImportReport] = useState(null); // null | { ok, file, messages: [] }
+  const [dropActive, setDropActive] = useState(false);
+
+  function applyImportedData(data) {
+    // landId không nằm trong snapshot → import như mở plan khác, không undo ngược qua import
+    setHistory([]);
+    setFuture([]);
+    setLandId(data.landId);
+    setBoundary(data.boundary);
+    setBoundaryClosed(data.boundaryClosed);
+    setPublicRoads(data.publicRoads);
+    setActivePublicIdx(-1);
+    setInternalRoads(data.internalRoads);
+    setLots(data.lots);
+    setAnnotations(data.annotations || []);
+    setProjectName("");
+    setCurrent([]);
+    setSelection(null);
+    setDragging(null);
+    setHover(null);
+    requestAutosave();
+    fitView([
+      ...data.boundary,
+      ...data.publicRoads.flatMap((r) => r.entry_points),
+      ...data.internalRoads.flatMap((r) => r.polygon),
+      ...data.lots.flatMap((l) => l.polygon),
+    ]);
+  }
 
-    download(`${landId}_subdivision.json`, JSON.stringify(out, null, 2));
-    exportPNG();
+  async function importFile(file) {
+    if (!file) return;
+    if (
+      /^image\/(png|jpeg)$/.test(file.type) ||
+      /\.(png|jpe?g)$/i.test(file.name)
+    ) {
+      loadUnderlay(file);
+      return;
+    }
+    if (/\.dxf$/i.test(file.name)) {
+      const parsed = parseDXF(await file.text());
+      if (!parsed.polylines.length) {
+        setImportReport({
+          ok: false,
+          file: file.name,
+          messages: [
+            "DXF không có LWPOLYLINE/POLYLINE nào",
+            ...parsed.warnings,
+          ],
+        });
+        return;
+      }
+      const targets = {};
+      for (const l of parsed.layers) targets[l.name] = guessDxfTarget(l.name);
+      setImportReport(null);
+      setDxfImport({
+        file: file.name,
+        parsed,
+        targets,
+        scale: DXF_INSUNITS_METERS[parsed.insunits] ?? 1,
+      });
+      return;
+    }
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch (err) {
+      setImportReport({
+        ok: false,
+        file: file.name,
+        messages: [`JSON không hợp lệ: ${err.message}`],
+      });
+      return;
+    }
+    const {
+      data,
+      errors,
+      warnings = [],
+    } = isGeoJSONDoc(doc)
+      ? parseGeoJSON(doc, geoCrs, landId)
+      : parseSubdivisionDoc(doc);
+    if (!data) {
+      setImportReport({
+        ok: false,
+        file: file.name,
+        messages: [...errors, ...warnings],
+      });
+      return;
+    }
+    applyImportedData(data);
+    setImportReport({
+      ok: true,
+      file: file.name,
+      messages: [
+        `${data.landId}: boundary ${data.boundary.length} đỉnh, ${data.publicRoads.length} public road, ${data.internalRoads.length} internal road, ${data.lots.length} lot`,
+        ...warnings,
+      ],
+    });
+  }
+
+  function onImportInputChange(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // cho phép chọn lại cùng file
+    importFile(file);
+  }
+
+  function onCanvasDragOver(e) {
+    if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    if (!dropActive) setDropActive(true);
+  }
+  function onCanvasDrop(e) {
+    e.preventDefault();
+    setDropActive(false);
+    importFile(e.dataTransfer?.files?.[0]);
   }
 
   // ------------- Select/Edit -------------
@@ -1572,31 +6794,135 @@ export default function LandSubdivisionApp() {
   // dragging: null | { type:'vertex'|'edge', kind, index, vertexIndex?/edgeIndex, startMouse:[x,y], startGeom:... , shiftEdge:boolean }
   const [dragging, setDragging] = useState(null);
 
+  // Buildable envelope song song với lots (cùng index); tính lại khi hình học/khoảng lùi đổi.
+  // ~2 ms/lô → đang kéo thì giữ kết quả lần trước, thả chuột mới tính lại
+  const isDragging = !!dragging;
+  const lotEnvelopesRef = useRef(null);
+  const lotEnvelopes = useMemo(() => {
+    if (isDragging && lotEnvelopesRef.current) return lotEnvelopesRef.current;
+    const setbacks = {
+      front: Number(setbackFront) || 0,
+      side: Number(setbackSide) || 0,
+      rear: Number(setbackRear) || 0,
+      minArea: Number(minEnvelopeArea) || 0,
+    };
+    const ctx = {
+      boundary,
+      boundaryClosed,
+      publicRoads,
+      internalRoads,
+      frontageRule,
+    };
+    const tolUnits = 3 * __avgUP;
+    lotEnvelopesRef.current = lots.map((l) =>
+      lotBuildableEnvelope(
+        l.polygon,
+        computeFrontRoadForLot(l.polygon, ctx, tolUnits),
+        ctx,
+        setbacks,
+        tolUnits
+      )
+    );
+    return lotEnvelopesRef.current;
+  }, [
+    lots,
+    boundary,
+    boundaryClosed,
+    publicRoads,
+    internalRoads,
+    frontageRule,
+    __avgUP,
+    setbackFront,
+    setbackSide,
+    setbackRear,
+    minEnvelopeArea,
+    isDragging,
+  ]);
+
+  // Land-use budget: diện tích cộng dồn luôn cập nhật; chồng lấn / ngoài ranh (boolean
+  // polygon, tốn kém) chỉ tính lại khi không kéo — đang kéo giữ kết quả lần trước
+  const landConflictsRef = useRef(null);
+  const landConflicts = useMemo(() => {
+    if (isDragging && landConflictsRef.current) return landConflictsRef.current;
+    landConflictsRef.current = landUseConflicts({
+      boundary,
+      boundaryClosed,
+      internalRoads,
+      lots,
+    });
+    return landConflictsRef.current;
+  }, [boundary, boundaryClosed, internalRoads, lots, isDragging]);
+  const landBudget = useMemo(
+    () =>
+      landUseBudget(
+        { boundary, boundaryClosed, internalRoads, lots },
+        landConflicts
+      ),
+    [boundary, boundaryClosed, internalRoads, lots, landConflicts]
+  );
+
+  // Annotation: grab "point" → điểm neo (handle = index điểm); grab "body" → đường
+  // kích thước ("offset"), thân chữ / mũi tên bắc (kéo tịnh tiến)
+  function hitTestAnnotation(p, tol, grab) {
+    if (!layerActive("annotations")) return null;
+    for (let i = annotations.length - 1; i >= 0; i--) {
+      const a = annotations[i];
+      if (grab === "point") {
+        for (let k = 0; k < a.points.length; k++)
+          if (distance(a.points[k], p) <= tol)
+            return { index: i, handle: k, grab: "point" };
+        continue;
+      }
+      if (a.type === "aligned") {
+        const { A1, B1 } = alignedDimParts(a.points[0], a.points[1], a.offset);
+        if (Math.sqrt(pointSegProjection(p, A1, B1).d2) <= tol)
+          return { index: i, handle: "offset", grab: "body" };
+      }
+      const labelIdx = a.type === "text" ? 0 : a.type === "leader" ? 1 : -1;
+      if (labelIdx >= 0) {
+        const [x, y] = a.points[labelIdx];
+        const w = String(a.text).length * FONT_UNIT * 0.6 + 4 * __avgUP;
+        if (p[0] >= x && p[0] <= x + w && p[1] <= y && p[1] >= y - FONT_UNIT)
+          return { index: i, handle: labelIdx, grab: "body" };
+      }
+      if (a.type === "north" && distance(a.points[0], p) <= 22 * __avgUP)
+        return { index: i, handle: 0, grab: "body" };
+    }
+    return null;
+  }
+
   function hitTestVertex(p, tol) {
     // priority: vertices of lots/internal/boundary/public EPs
     // return {kind,index,vertexIndex} or for public EP: {kind:'publicEP', index:roadIdx, vertexIndex:epIdx}
+    // layer ẩn/khoá bị bỏ qua
     // lots
-    for (let i = 0; i < lots.length; i++) {
+    for (let i = 0; layerActive("lots") && i < lots.length; i++) {
       const poly = lots[i].polygon;
       for (let j = 0; j < poly.length; j++)
         if (distance(poly[j], p) <= tol)
           return { kind: "lot", index: i, vertexIndex: j };
     }
-    // internal
-    for (let i = 0; i < internalRoads.length; i++) {
-      const poly = internalRoads[i].polygon;
+    // internal (đường theo tim: chỉ sửa đỉnh centerline, polygon là dẫn xuất)
+    for (
+      let i = 0;
+      layerActive("internalRoads") && i < internalRoads.length;
+      i++
+    ) {
+      const cl = internalRoads[i].centerline;
+      const poly = cl || internalRoads[i].polygon;
+      const kind = cl ? "centerline" : "internal";
       for (let j = 0; j < poly.length; j++)
         if (distance(poly[j], p) <= tol)
-          return { kind: "internal", index: i, vertexIndex: j };
+          return { kind, index: i, vertexIndex: j };
     }
     // boundary
-    if (boundaryClosed) {
+    if (boundaryClosed && layerActive("boundary")) {
       for (let j = 0; j < boundary.length; j++)
         if (distance(boundary[j], p) <= tol)
           return { kind: "boundary", index: 0, vertexIndex: j };
     }
     // public EPs
-    for (let r = 0; r < publicRoads.length; r++) {
+    for (let r = 0; layerActive("publicRoads") && r < publicRoads.length; r++) {
       const eps = publicRoads[r].entry_points;
       for (let j = 0; j < eps.length; j++)
         if (distance(eps[j], p) <= tol)
@@ -1607,10 +6933,10 @@ export default function LandSubdivisionApp() {
 
   function hitTestEdge(p, tol) {
     // return {kind,index,edgeIndex} meaning edge between points[k] and points[(k+1)%n]
-    function checkPoly(kind, idx, poly) {
+    function checkPoly(kind, idx, poly, closed = true) {
       if (poly.length < 2) return null;
       const n = poly.length;
-      for (let k = 0; k < n; k++) {
+      for (let k = 0; k < (closed ? n : n - 1); k++) {
         const a = poly[k],
           b = poly[(k + 1) % n];
         const { d2 } = pointSegProjection(p, a, b);
@@ -1618,15 +6944,22 @@ export default function LandSubdivisionApp() {
       }
       return null;
     }
-    for (let i = 0; i < lots.length; i++) {
+    for (let i = 0; layerActive("lots") && i < lots.length; i++) {
       const hit = checkPoly("lot", i, lots[i].polygon);
       if (hit) return hit;
     }
-    for (let i = 0; i < internalRoads.length; i++) {
-      const hit = checkPoly("internal", i, internalRoads[i].polygon);
+    for (
+      let i = 0;
+      layerActive("internalRoads") && i < internalRoads.length;
+      i++
+    ) {
+      const r = internalRoads[i];
+      const hit = r.centerline
+        ? checkPoly("centerline", i, r.centerline, false)
+        : checkPoly("internal", i, r.polygon);
       if (hit) return hit;
     }
-    if (boundaryClosed) {
+    if (boundaryClosed && layerActive("boundary")) {
       const hit = checkPoly("boundary", 0, boundary);
       if (hit) return hit;
     }
@@ -1634,19 +6967,78 @@ export default function LandSubdivisionApp() {
   }
 
   function onPointerDown(e) {
+    // pan: chuột giữa, hoặc Space + chuột trái (không chọn / vẽ)
+    if (e.button === 1 || (e.button === 0 && spaceHeld)) {
+      e.preventDefault();
+      suppressClickRef.current = e.button === 0;
+      beginViewGesture([e.clientX, e.clientY]);
+      return;
+    }
+    suppressClickRef.current = false;
     const p0 = clientToSvg(e); // NEW
     if (p0) setCursorPos({ x: p0[0], y: p0[1], show: true }); // NEW
 
-    if (mode !== "select") return;
+    if (mode !== "select" || underlayPick) return;
     const p = clientToSvg(e);
     if (!p) return;
     const tol = 6 * __avgUP;
 
-    // vertex first
+    // Ctrl/⌘+click: chọn lô thứ 2 (B) cho Lot ops, không kéo
+    if (e.ctrlKey || e.metaKey) {
+      const hit = hitTestVertex(p, tol) || hitTestEdge(p, tol);
+      let idx = hit?.kind === "lot" ? hit.index : -1;
+      if (idx < 0 && layerActive("lots"))
+        for (let i = lots.length - 1; i >= 0; i--)
+          if (pointInPolygon(p, lots[i].polygon)) {
+            idx = i;
+            break;
+          }
+      setOpLotB(idx >= 0 ? lots[idx].lot_id : null);
+      return;
+    }
+
+    // Alt = tách riêng polygon này khỏi các polygon kề (không kéo theo đỉnh chung)
+    const detach = e.altKey;
+    const topo = detach ? null : topology;
+    // đỉnh chung thuộc layer bị khoá/ẩn thì không kéo theo
+    const linkedRefs = (kind, index, vertexIndex) => {
+      const id = topo?.nodeOf(kind, index, vertexIndex);
+      return id == null
+        ? [{ kind, index, vertexIndex }]
+        : topo.nodes[id].refs.filter(
+            (r) =>
+              (r.kind === kind && r.index === index) ||
+              layerActive(LAYER_OF_KIND[r.kind])
+          );
+    };
+
+    const startAnnotationDrag = (ahit) => {
+      setSelection({
+        kind: "annotation",
+        index: ahit.index,
+        vertexIndex: typeof ahit.handle === "number" ? ahit.handle : null,
+      });
+      pushHistory();
+      setDragging({
+        type: "annotation",
+        ...ahit,
+        startMouse: p,
+        start: annotations[ahit.index],
+      });
+    };
+    // thân annotation (đường kích thước, chữ, mũi tên bắc) vẽ trên cùng → ưu tiên
+    const bodyHit = hitTestAnnotation(p, tol, "body");
+    if (bodyHit) {
+      startAnnotationDrag(bodyHit);
+      return;
+    }
+
+    // vertex first: điểm neo annotation thường snap trùng đỉnh lô/ranh → đỉnh hình học thắng
     const vhit = hitTestVertex(p, tol);
     if (vhit) {
       setSelection(vhit);
       pushHistory();
+      const links = linkedRefs(vhit.kind, vhit.index, vhit.vertexIndex);
       setDragging({
         type: "vertex",
         kind: vhit.kind,
@@ -1654,15 +7046,32 @@ export default function LandSubdivisionApp() {
         vertexIndex: vhit.vertexIndex,
         startMouse: p,
         startGeom: getGeomSnapshot(vhit),
+        startGeoms: getGeomSnapshots(links),
+        links,
         shiftEdge: false,
       });
       return;
     }
+    const pointHit = hitTestAnnotation(p, tol, "point");
+    if (pointHit) {
+      startAnnotationDrag(pointHit);
+      return;
+    }
     // then edge
     const ehit = hitTestEdge(p, tol);
     if (ehit) {
       setSelection(ehit);
       pushHistory();
+      const n = getGeomSnapshot(ehit)?.length || 0;
+      const links = [
+        ...linkedRefs(ehit.kind, ehit.index, ehit.edgeIndex).map((r) => ({
+          ...r,
+          end: "a",
+        })),
+        ...linkedRefs(ehit.kind, ehit.index, (ehit.edgeIndex + 1) % n).map(
+          (r) => ({ ...r, end: "b" })
+        ),
+      ];
       setDragging({
         type: "edge",
         kind: ehit.kind,
@@ -1670,36 +7079,101 @@ export default function LandSubdivisionApp() {
         edgeIndex: ehit.edgeIndex,
         startMouse: p,
         startGeom: getGeomSnapshot(ehit),
+        startGeoms: getGeomSnapshots(links),
+        links,
         shiftEdge: e.shiftKey, // Shift = move along normal (extend)
       });
       return;
     }
+    // ảnh nền chưa khoá và chưa georeference: bấm vào vùng ảnh để kéo dịch
+    if (
+      underlay &&
+      !underlay.locked &&
+      underlayGeoref &&
+      !underlayGeoref.georeferenced
+    ) {
+      const uv = invertAffine(underlayGeoref.matrix, p);
+      if (
+        uv &&
+        uv[0] >= 0 &&
+        uv[1] >= 0 &&
+        uv[0] <= underlay.width &&
+        uv[1] <= underlay.height
+      ) {
+        setSelection(null);
+        setDragging({
+          type: "underlay",
+          startMouse: p,
+          startOffset: underlay.offset,
+        });
+        return;
+      }
+    }
     // none
     setSelection(null);
   }
   function onPointerUp() {
+    if (viewGestureRef.current) endViewGesture();
     if (dragging) endDrag();
   }
   function endDrag() {
+    const d = dragging;
     setDragging(null);
-    // NEW: nếu vừa chỉnh polygon internal và đang bật autoInternalWidth → tính lại width
-    if (
-      autoInternalWidth &&
-      selection?.kind === "internal" &&
-      selection.index != null
-    ) {
+    requestAutosave(); // lưu hình dạng sau khi kéo xong
+    // NEW: nếu vừa chỉnh polygon internal (kể cả road kéo theo qua đỉnh chung)
+    // và đang bật autoInternalWidth → tính lại width
+    const touched = new Set(
+      (d?.links || []).filter((r) => r.kind === "internal").map((r) => r.index)
+    );
+    if (selection?.kind === "internal" && selection.index != null)
+      touched.add(selection.index);
+    if (autoInternalWidth && touched.size) {
       setInternalRoads((rs) => {
         const u = [...rs];
-        const poly = u[selection.index]?.polygon || [];
-        const w = estimateRoadWidth(poly);
-        if (isFinite(w) && w > 0) {
-          u[selection.index] = { ...u[selection.index], width: w };
+        for (const idx of touched) {
+          const poly = u[idx]?.polygon || [];
+          const w = estimateRoadWidth(poly);
+          if (isFinite(w) && w > 0) {
+            u[idx] = { ...u[idx], width: w };
+          }
         }
         return u;
       });
     }
   }
 
+  // Topology của toàn bộ đối tượng hiện có (đỉnh trùng → node chung); tính lại khi hình đổi
+  const topology = useMemo(
+    () =>
+      buildVertexTopology([
+        ...(boundaryClosed
+          ? [{ kind: "boundary", index: 0, points: boundary }]
+          : []),
+        ...publicRoads.map((r, i) => ({
+          kind: "publicEP",
+          index: i,
+          points: r.entry_points,
+        })),
+        ...internalRoads.map((r, i) =>
+          r.centerline
+            ? { kind: "centerline", index: i, points: r.centerline }
+            : { kind: "internal", index: i, points: r.polygon }
+        ),
+        ...lots.map((l, i) => ({ kind: "lot", index: i, points: l.polygon })),
+      ]),
+    [boundary, boundaryClosed, publicRoads, internalRoads, lots]
+  );
+
+  const geomKey = (kind, index) => `${kind}:${index}`;
+  function getGeomSnapshots(refs) {
+    const out = {};
+    for (const r of refs) {
+      const k = geomKey(r.kind, r.index);
+      if (!out[k]) out[k] = getGeomSnapshot(r);
+    }
+    return out;
+  }
+
   function getGeomSnapshot(sel) {
     if (!sel) return null;
     switch (sel.kind) {
@@ -1707,6 +7181,8 @@ export default function LandSubdivisionApp() {
         return JSON.parse(JSON.stringify(lots[sel.index].polygon));
       case "internal":
         return JSON.parse(JSON.stringify(internalRoads[sel.index].polygon));
+      case "centerline":
+        return JSON.parse(JSON.stringify(internalRoads[sel.index].centerline));
       case "boundary":
         return JSON.parse(JSON.stringify(boundary));
       case "publicEP":
@@ -1729,6 +7205,13 @@ export default function LandSubdivisionApp() {
         u[index] = { ...u[index], polygon: newPolyOrEPs };
         return u;
       });
+    } else if (kind === "centerline") {
+      setInternalRoads((rs) => {
+        const u = [...rs];
+        const r = { ...u[index], centerline: newPolyOrEPs };
+        u[index] = { ...r, polygon: roadPolygonFromCenterline(r) };
+        return u;
+      });
     } else if (kind === "boundary") {
       setBoundary(newPolyOrEPs);
       setBoundaryClosed(newPolyOrEPs.length >= 3);
@@ -1741,6 +7224,120 @@ export default function LandSubdivisionApp() {
     }
   }
 
+  // ---- Vertex table: sửa số liệu đỉnh của đối tượng đang chọn (mỗi lần commit = 1 bước history) ----
+  const [vtPaste, setVtPaste] = useState("");
+  const [vtMessage, setVtMessage] = useState("");
+  const VT_MIN_POINTS = {
+    boundary: 3,
+    lot: 3,
+    internal: 3,
+    centerline: 2,
+    publicEP: 0,
+  };
+  const VT_CLOSED = { boundary: true, lot: true, internal: true };
+  function vertexTableTarget() {
+    if (!selection) return null;
+    const pts = getGeomSnapshot(selection);
+    if (!pts) return null;
+    const { kind, index = 0 } = selection;
+    const name =
+      kind === "lot"
+        ? `Lot ${lots[index]?.lot_id}`
+        : kind === "boundary"
+        ? "Boundary"
+        : kind === "publicEP"
+        ? `Public road ${publicRoads[index]?.road_id} (EP)`
+        : kind === "centerline"
+        ? `Road ${internalRoads[index]?.road_id} (centerline)`
+        : `Road ${internalRoads[index]?.road_id}`;
+    return { kind, index, pts, name };
+  }
+  function commitVertexList(kind, index, pts) {
+    const min = VT_MIN_POINTS[kind] ?? 3;
+    if (pts.length < min) {
+      setVtMessage(`Cần tối thiểu ${min} đỉnh`);
+      return false;
+    }
+    pushHistory();
+    applyGeom(kind, index, pts);
+    if (kind === "internal" && autoInternalWidth) {
+      const w = estimateRoadWidth(pts);
+      if (isFinite(w) && w > 0)
+        setInternalRoads((rs) => {
+          const u = [...rs];
+          u[index] = { ...u[index], width: w };
+          return u;
+        });
+    }
+    setSelection((sel) => (sel ? { kind: sel.kind, index: sel.index } : sel));
+    setVtMessage("");
+    return true;
+  }
+  function vtSetCoord(t, i, axis, raw) {
+    const v = Number(raw);
+    if (String(raw).trim() === "" || !Number.isFinite(v)) return;
+    if (t.pts[i][axis] === v) return;
+    const pts = t.pts.map((p) => [...p]);
+    pts[i][axis] = v;
+    commitVertexList(t.kind, t.index, pts);
+  }
+  function vtInsertAfter(t, i) {
+    const n = t.pts.length;
+    const a = t.pts[i];
+    const b = t.pts[(i + 1) % n];
+    const mid =
+      i + 1 < n || VT_CLOSED[t.kind]
+        ? [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]
+        : [a[0] + 1, a[1]]; // sau đỉnh cuối của polyline hở: thêm 1 đơn vị
+    const pts = [...t.pts];
+    pts.splice(i + 1, 0, [
+      Number(mid[0].toFixed(2)),
+      Number(mid[1].toFixed(2)),
+    ]);
+    commitVertexList(t.kind, t.index, pts);
+  }
+  function vtMove(t, i, dir) {
+    const j = i + dir;
+    if (j < 0 || j >= t.pts.length) return;
+    const pts = [...t.pts];
+    [pts[i], pts[j]] = [pts[j], pts[i]];
+    commitVertexList(t.kind, t.index, pts);
+  }
+  function vtRemove(t, i) {
+    commitVertexList(
+      t.kind,
+      t.index,
+      t.pts.filter((_, k) => k !== i)
+    );
+  }
+  // Dán từ bảng tính: mỗi dòng "x<tab|,|;>y", dòng không phải số (tiêu đề) bị bỏ qua
+  function vtApplyPaste(t) {
+    const pts = [];
+    for (const line of vtPaste.split(/\r?\n/)) {
+      const cells = line
+        .trim()
+        .split(/[\t,;]+|\s+/)
+        .filter(Boolean);
+      if (cells.length < 2) continue;
+      const [x, y] = cells.slice(-2).map(Number);
+      if (Number.isFinite(x) && Number.isFinite(y)) pts.push([x, y]);
+    }
+    const open = VT_CLOSED[t.kind] ? stripClosingDuplicate(pts) : pts;
+    if (!open.length) {
+      setVtMessage("Không đọc được toạ độ nào");
+      return;
+    }
+    if (commitVertexList(t.kind, t.index, open)) setVtPaste("");
+  }
+
+  // geoms: { "kind:index": polyOrEPs } (xem getGeomSnapshots)
+  function applyGeoms(geoms) {
+    for (const k of Object.keys(geoms)) {
+      const [kind, index] = k.split(":");
+      applyGeom(kind, Number(index), geoms[k]);
+    }
+  }
+
   function onDragMove(e) {
     const d = dragging;
     if (!d) return;
@@ -1753,16 +7350,40 @@ export default function LandSubdivisionApp() {
     const dx = p[0] - d.startMouse[0];
     const dy = p[1] - d.startMouse[1];
 
+    if (d.type === "annotation") {
+      const a = d.start;
+      let next;
+      if (d.handle === "offset") {
+        const { n } = normDirFromEdge(a.points[0], a.points[1]);
+        next = {
+          ...a,
+          offset: _dot([p[0] - a.points[0][0], p[1] - a.points[0][1]], n),
+        };
+      } else {
+        const pts = a.points.map((q) => [...q]);
+        pts[d.handle] =
+          d.grab === "point"
+            ? computePreviewPoint(e) ?? p
+            : [a.points[d.handle][0] + dx, a.points[d.handle][1] + dy];
+        next = refreshAnnotation({ ...a, points: pts });
+      }
+      setAnnotations((list) => list.map((x, i) => (i === d.index ? next : x)));
+      return;
+    }
+    if (d.type === "underlay") {
+      updateUnderlay({
+        offset: [d.startOffset[0] + dx, d.startOffset[1] + dy],
+      });
+      return;
+    }
     if (d.type === "vertex") {
       // move a single vertex (with grid/line/vertex snap capability via computePreviewPoint)
+      // → mọi polygon dùng chung đỉnh này (d.links) cùng di chuyển
       const snapped = computePreviewPoint(e) ?? p;
-      const polyOrEP = JSON.parse(JSON.stringify(d.startGeom));
-      if (d.kind === "publicEP") {
-        polyOrEP[d.vertexIndex] = snapped;
-      } else {
-        polyOrEP[d.vertexIndex] = snapped;
-      }
-      applyGeom(d.kind, d.index, polyOrEP);
+      const geoms = JSON.parse(JSON.stringify(d.startGeoms));
+      for (const r of d.links)
+        geoms[geomKey(r.kind, r.index)][r.vertexIndex] = snapped;
+      applyGeoms(geoms);
     } else if (d.type === "edge") {
       // move two vertices of the edge
       if (d.kind === "publicEP") return; // edges not defined for EPs
@@ -1797,13 +7418,17 @@ export default function LandSubdivisionApp() {
         moveBy = moveAy;
       }
 
-      const newPoly = startPoly.map((pt, idx) => {
-        if (idx === i) return [pt[0] + moveAx, pt[1] + moveAy];
-        if (idx === i2) return [pt[0] + moveBx, pt[1] + moveBy];
-        return pt;
-      });
-
-      applyGeom(d.kind, d.index, newPoly);
+      // 2 đầu cạnh + mọi đỉnh trùng với chúng (cạnh chung của polygon kề) cùng tịnh tiến
+      const geoms = JSON.parse(JSON.stringify(d.startGeoms));
+      for (const r of d.links) {
+        const g = geoms[geomKey(r.kind, r.index)];
+        const pt = d.startGeoms[geomKey(r.kind, r.index)][r.vertexIndex];
+        g[r.vertexIndex] =
+          r.end === "a"
+            ? [pt[0] + moveAx, pt[1] + moveAy]
+            : [pt[0] + moveBx, pt[1] + moveBy];
+      }
+      applyGeoms(geoms);
     }
   }
 
@@ -1883,6 +7508,17 @@ export default function LandSubdivisionApp() {
         u[index] = { ...u[index], polygon: poly };
         return u;
       });
+    } else if (kind === "centerline") {
+      // polyline hở: xoá cạnh = xoá đỉnh cuối của cạnh, còn <2 điểm thì xoá đường
+      setInternalRoads((rs) => {
+        const cl = [...rs[index].centerline];
+        cl.splice(edgeIndex + 1, 1);
+        if (cl.length < 2) return rs.filter((_, i) => i !== index);
+        const u = [...rs];
+        const r = { ...u[index], centerline: cl };
+        u[index] = { ...r, polygon: roadPolygonFromCenterline(r) };
+        return u;
+      });
     } else if (kind === "boundary") {
       const poly = [...boundary];
       const n = poly.length;
@@ -1902,6 +7538,11 @@ export default function LandSubdivisionApp() {
   function onDeleteSelection() {
     const sel = selection;
     if (!sel) return;
+    if (sel.kind === "annotation") {
+      const a = annotations[sel.index];
+      if (a) removeAnnotation(a.id);
+      return;
+    }
     pushHistory();
 
     // Ưu tiên: nếu đang chọn cạnh → xoá cạnh
@@ -1938,6 +7579,17 @@ export default function LandSubdivisionApp() {
       } else {
         setInternalRoads((rs) => rs.filter((_, i) => i !== sel.index));
       }
+    } else if (sel.kind === "centerline") {
+      setInternalRoads((rs) => {
+        const cl = [...rs[sel.index].centerline];
+        if (sel.vertexIndex != null) cl.splice(sel.vertexIndex, 1);
+        if (sel.vertexIndex == null || cl.length < 2)
+          return rs.filter((_, i) => i !== sel.index);
+        const u = [...rs];
+        const r = { ...u[sel.index], centerline: cl };
+        u[sel.index] = { ...r, polygon: roadPolygonFromCenterline(r) };
+        return u;
+      });
     } else if (sel.kind === "boundary") {
       if (sel.vertexIndex != null) {
         const poly = [...boundary];
@@ -1975,7 +7627,13 @@ export default function LandSubdivisionApp() {
   if (hover) {
     if (mode === "boundary" && !boundaryClosed && current.length)
       previewPrev = current[current.length - 1];
-    else if ((mode === "internalRoad" || mode === "lot") && current.length)
+    else if (
+      (mode === "internalRoad" ||
+        mode === "lot" ||
+        mode === "split" ||
+        mode === "roadCenterline") &&
+      current.length
+    )
       previewPrev = current[current.length - 1];
   }
   const showPreview = !!(hover && previewPrev);
@@ -1984,6 +7642,31 @@ export default function LandSubdivisionApp() {
     : null;
   const previewLen = showPreview ? distance(previewPrev, hover) : 0;
 
+  // ---------- Measure mode: kết quả đang đo (kèm điểm hover) ----------
+  let liveMeasure = null;
+  if (mode === "measure") {
+    if (measureTool === "area") liveMeasure = measureProbe;
+    else {
+      const type = measureTool === "angle" ? "angle" : "dimension";
+      const pts =
+        hover && (type === "dimension" || measurePts.length < 3)
+          ? dedupPush(measurePts, hover)
+          : measurePts;
+      liveMeasure = measureFromPoints(type, pts);
+    }
+  }
+  const pinnedMeasure = mode === "measure" ? currentMeasure() : null;
+
+  // ---------- Annotate mode: annotation sẽ tạo nếu click tại hover ----------
+  let liveAnnotation = null;
+  if (mode === "annotate") {
+    const pts = hover ? dedupPush(annotatePts, hover) : annotatePts;
+    if (pts.length >= ANNOTATION_MIN_POINTS[annotateTool])
+      liveAnnotation = newAnnotation(annotateTool, pts);
+  }
+  const selectedAnnotation =
+    selection?.kind === "annotation" ? annotations[selection.index] : null;
+
   // ---------- Live area for LOT while drawing ----------
   // Khi ở mode "lot", nếu đang có current và hover → xem như polygon tạm thời (current + hover)
   // Nếu không có hover mà đã ≥3 điểm → dùng current
@@ -1998,6 +7681,19 @@ export default function LandSubdivisionApp() {
   const liveLotArea = liveLotPoly ? shoelaceArea(liveLotPoly) : 0;
   const liveLotCentroid = liveLotPoly ? polygonCentroid(liveLotPoly) : null;
 
+  // ---------- Live road polygon for ROAD CENTERLINE while drawing ----------
+  let liveRoadPoly = null;
+  if (mode === "roadCenterline" && current.length) {
+    const cl = hover ? [...current, hover] : current;
+    liveRoadPoly = bufferCenterline(cl, internalWidthDefault, {
+      join: clJoin,
+      capStart: clCapStart,
+      capEnd: clCapEnd,
+      bulbRadius: clBulbRadius,
+    });
+    if (liveRoadPoly.length < 3) liveRoadPoly = null;
+  }
+
   // ---------- Live area for BOUNDARY while drawing ----------
   let liveBoundaryPoly = null;
   if (mode === "boundary" && !boundaryClosed) {
@@ -2017,7 +7713,9 @@ export default function LandSubdivisionApp() {
     : null;
 
   // helpers to draw selection handles
-  function drawVertexHandles(poly, kind, idxPrefix = "") {
+  // đỉnh dùng chung với polygon khác (topology) tô màu xanh dương
+  const handleTopo = selection ? topology : null;
+  function drawVertexHandles(poly, kind, idxPrefix = "", index = 0) {
     return poly.map((p, i) => (
       <circle
         key={`${idxPrefix}v-${i}`}
@@ -2027,6 +7725,9 @@ export default function LandSubdivisionApp() {
         fill={
           selection && selection.kind === kind && selection.vertexIndex === i
             ? "#ef4444"
+            : handleTopo?.nodes[handleTopo.nodeOf(kind, index, i)]?.refs
+                .length > 1
+            ? "#0ea5e9"
             : "#10b981"
         }
         stroke="#064e3b"
@@ -2057,8 +7758,13 @@ export default function LandSubdivisionApp() {
   }
 
   // NEW: đổi kiểu con trỏ theo mode
-  const svgCursorClass =
-    mode === "select" ? "cursor-default" : "cursor-crosshair";
+  const svgCursorClass = panning
+    ? "cursor-grabbing"
+    : spaceHeld
+    ? "cursor-grab"
+    : mode === "select"
+    ? "cursor-default"
+    : "cursor-crosshair";
 
   // NEW: vị trí fallback cho badge nếu vì lý do nào đó cursorPos chưa bật show
   const badgePos = cursorPos.show
@@ -2084,7 +7790,11 @@ export default function LandSubdivisionApp() {
                 <option value="boundary">Boundary</option>
                 <option value="publicRoad">Public Road EP</option>
                 <option value="internalRoad">Internal Road</option>
+                <option value="roadCenterline">Road Centerline</option>
                 <option value="lot">Lot</option>
+                <option value="split">Split line</option>
+                <option value="measure">Measure</option>
+                <option value="annotate">Annotate</option>
                 <option value="select">Select / Edit</option>
               </select>
               Land ID
@@ -2127,6 +7837,34 @@ export default function LandSubdivisionApp() {
               >
                 ⬇︎ Export JSON + PNG
               </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="px-1.5 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+                title="Import JSON / GeoJSON / DXF (hoặc kéo-thả file vào canvas)"
+              >
+                ⬆︎ Import JSON
+              </button>
+              <button
+                onClick={exportGeoJSON}
+                className="px-1.5 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-500"
+                title="Export GeoJSON (toạ độ thực theo CRS trong Advanced)"
+              >
+                ⬇︎ GeoJSON
+              </button>
+              <button
+                onClick={exportDXF}
+                className="px-1.5 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-500"
+                title="Export DXF (layer BOUNDARY, INTERNAL_ROADS, LOTS, PUBLIC_ROAD_EP, LOT_LABELS, LOT_AREA)"
+              >
+                ⬇︎ DXF
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,.geojson,.dxf,application/json,application/geo+json"
+                onChange={onImportInputChange}
+                hidden
+              />
             </div>
 
             {/* Right: Zoom cluster */}
@@ -2151,7 +7889,7 @@ export default function LandSubdivisionApp() {
                 ＋
               </button>
               <button
-                onClick={fitView}
+                onClick={() => fitView()}
                 className="px-1.5 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
                 title="Fit"
               >
@@ -2321,14 +8059,114 @@ export default function LandSubdivisionApp() {
               />
               <span>dy</span>
               <input
-                type="number"
-                value={badgeOffsetPx.dy}
-                onChange={(e) =>
-                  setBadgeOffsetPx((o) => ({ ...o, dy: +e.target.value || 0 }))
-                }
-                className="border rounded px-1 py-0.5 h-7 w-14"
+                type="number"
+                value={badgeOffsetPx.dy}
+                onChange={(e) =>
+                  setBadgeOffsetPx((o) => ({ ...o, dy: +e.target.value || 0 }))
+                }
+                className="border rounded px-1 py-0.5 h-7 w-14"
+              />
+            </div>
+          </div>
+          <div className="flex items-center gap-1">
+            <span title="GeoJSON: canvas (0,0) ↔ (Origin E, Origin N)">
+              CRS
+            </span>
+            <input
+              value={geoCrs.name}
+              onChange={(e) => updateGeoCrs("name", e.target.value)}
+              className="border rounded px-1 py-0.5 h-7 w-24"
+              placeholder="EPSG:3405"
+            />
+            <span>Origin E</span>
+            <input
+              type="number"
+              value={geoCrs.originE}
+              onChange={(e) =>
+                updateGeoCrs("originE", Number(e.target.value) || 0)
+              }
+              className="border rounded px-1 py-0.5 h-7 w-24"
+            />
+            <span>N</span>
+            <input
+              type="number"
+              value={geoCrs.originN}
+              onChange={(e) =>
+                updateGeoCrs("originN", Number(e.target.value) || 0)
+              }
+              className="border rounded px-1 py-0.5 h-7 w-24"
+            />
+            <span>m/unit</span>
+            <input
+              type="number"
+              min={0}
+              value={geoCrs.scale}
+              onChange={(e) => updateGeoCrs("scale", e.target.value)}
+              className="border rounded px-1 py-0.5 h-7 w-14"
+              title="Số mét trên 1 đơn vị canvas"
+            />
+            <label
+              className="flex items-center gap-1"
+              title="Trục y canvas hướng xuống, N hướng lên"
+            >
+              <input
+                type="checkbox"
+                checked={!!geoCrs.flipY}
+                onChange={(e) => updateGeoCrs("flipY", e.target.checked)}
               />
-            </div>
+              Flip Y
+            </label>
+          </div>
+          <div
+            className="flex items-center gap-1"
+            hidden={mode !== "roadCenterline"}
+          >
+            <span>Road w</span>
+            <input
+              type="number"
+              value={internalWidthDefault}
+              onChange={(e) =>
+                setInternalWidthDefault(Number(e.target.value) || 0)
+              }
+              className="border rounded px-1 py-0.5 h-7 w-14"
+              title="Road width for new centerline roads"
+            />
+            <span>Join</span>
+            <select
+              value={clJoin}
+              onChange={(e) => setClJoin(e.target.value)}
+              className="border rounded px-1 py-0.5 h-7"
+            >
+              <option value="miter">Miter</option>
+              <option value="round">Round</option>
+              <option value="chamfer">Chamfer</option>
+            </select>
+            <span>Cap start</span>
+            <select
+              value={clCapStart}
+              onChange={(e) => setClCapStart(e.target.value)}
+              className="border rounded px-1 py-0.5 h-7"
+            >
+              <option value="square">Square</option>
+              <option value="culdesac">Cul-de-sac</option>
+            </select>
+            <span>end</span>
+            <select
+              value={clCapEnd}
+              onChange={(e) => setClCapEnd(e.target.value)}
+              className="border rounded px-1 py-0.5 h-7"
+            >
+              <option value="square">Square</option>
+              <option value="culdesac">Cul-de-sac</option>
+            </select>
+            <span>Bulb R</span>
+            <input
+              type="number"
+              value={clBulbRadius}
+              onChange={(e) => setClBulbRadius(Number(e.target.value) || 0)}
+              className="border rounded px-1 py-0.5 h-7 w-14"
+              title="Cul-de-sac bulb radius (≥ width/2)"
+            />
           </div>
           <div
             className="flex items-center gap-1"
@@ -2390,6 +8228,162 @@ export default function LandSubdivisionApp() {
           </div>
         </details>
 
+        {recoverSession && (
+          <div className="rounded-md border border-amber-300 bg-amber-50 p-2 text-[11px] text-amber-900 flex flex-wrap items-center gap-2">
+            <span>
+              Có phiên làm việc chưa mở lại: <b>{recoverSession.name}</b> (
+              {recoverSession.landId}) lưu lúc{" "}
+              {new Date(recoverSession.updatedAt).toLocaleString()}.
+            </span>
+            <button
+              onClick={onRecoverSession}
+              className="px-1.5 py-0.5 rounded bg-amber-600 text-white hover:bg-amber-500"
+            >
+              Recover
+            </button>
+            <button
+              onClick={onDiscardSession}
+              className="px-1.5 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+            >
+              Discard
+            </button>
+          </div>
+        )}
+
+        {dxfImport && (
+          <div className="rounded-md border border-sky-300 bg-sky-50 p-2 text-[11px] text-sky-900 space-y-1">
+            <div className="flex flex-wrap items-center gap-2">
+              <b>DXF: {dxfImport.file}</b>
+              <span>Scale (m / đơn vị bản vẽ)</span>
+              <input
+                type="number"
+                min={0}
+                value={dxfImport.scale}
+                onChange={(e) =>
+                  setDxfImport((d) => ({ ...d, scale: e.target.value }))
+                }
+                className="border rounded px-1 py-0.5 h-7 w-20"
+              />
+              <button
+                onClick={applyDxfImport}
+                className="px-1.5 py-0.5 rounded bg-sky-700 text-white hover:bg-sky-600"
+              >
+                Import layers
+              </button>
+              <button
+                onClick={() => setDxfImport(null)}
+                className="px-1.5 py-0.5 rounded bg-white/70 hover:bg-white"
+              >
+                Cancel
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {dxfImport.parsed.layers.map((l) => (
+                <label key={l.name} className="flex items-center gap-1">
+                  <span className="font-mono">{l.name}</span> ({l.count})
+                  <select
+                    value={dxfImport.targets[l.name]}
+                    onChange={(e) =>
+                      setDxfImport((d) => ({
+                        ...d,
+                        targets: { ...d.targets, [l.name]: e.target.value },
+                      }))
+                    }
+                    className="border rounded px-1 py-0.5"
+                  >
+                    <option value="">— bỏ qua</option>
+                    <option value="boundary">Boundary</option>
+                    <option value="internal">Internal roads</option>
+                    <option value="lots">Lots</option>
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {importReport && (
+          <div
+            className={`rounded-md border p-2 text-[11px] ${
+              importReport.ok
+                ? "bg-emerald-50 border-emerald-300 text-emerald-900"
+                : "bg-red-50 border-red-300 text-red-900"
+            }`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <b>
+                {importReport.ok ? "Đã import" : "Import lỗi"}:{" "}
+                {importReport.file}
+              </b>
+              <button
+                onClick={() => setImportReport(null)}
+                className="px-1.5 py-0.5 rounded bg-white/70 hover:bg-white"
+                title="Đóng"
+              >
+                ✕
+              </button>
+            </div>
+            <ul className="mt-1 max-h-32 overflow-auto font-mono space-y-0.5">
+              {importReport.messages.map((m, i) => (
+                <li key={i}>{m}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Land-use budget panel: cân bằng đất theo % boundary */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-start gap-3 text-xs">
+          <span className="font-semibold">Land-use budget</span>
+          <table>
+            <tbody>
+              <tr>
+                <td className="pr-3">Boundary</td>
+                <td className="pr-3 text-right font-mono">
+                  {landBudget.boundary_area.toFixed(2)} m²
+                </td>
+                <td className="text-right font-mono">
+                  {landBudget.boundary_area > 0 ? "100.0%" : "–"}
+                </td>
+              </tr>
+              {[
+                ...landBudget.components,
+                {
+                  key: "unallocated",
+                  label: "Unallocated",
+                  ...landBudget.unallocated,
+                },
+              ].map((c) => (
+                <tr
+                  key={c.key}
+                  className={
+                    c.key === "unallocated" && c.area < 0 ? "text-red-700" : ""
+                  }
+                >
+                  <td className="pr-3">
+                    {c.label}
+                    {c.count > 0 && (
+                      <span className="text-gray-500"> ({c.count})</span>
+                    )}
+                  </td>
+                  <td className="pr-3 text-right font-mono">
+                    {c.area.toFixed(2)} m²
+                  </td>
+                  <td className="text-right font-mono">
+                    {c.percent == null ? "–" : `${c.percent.toFixed(1)}%`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {landBudget.warnings.length > 0 && (
+            <ul className="text-amber-700 space-y-0.5">
+              {landBudget.warnings.map((w) => (
+                <li key={w}>⚠ {w}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Scale & Area Panel */}
         <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-end gap-4">
           <div>
@@ -2460,38 +8454,954 @@ export default function LandSubdivisionApp() {
             />
             <input
               type="number"
-              value={anchorY}
-              onChange={(e) => setAnchorY(e.target.value)}
-              className="border rounded px-1.5 py-0.5 h-7 text-xs w-16"
-              disabled={anchorType !== "custom"}
-              placeholder="cy"
+              value={anchorY}
+              onChange={(e) => setAnchorY(e.target.value)}
+              className="border rounded px-1.5 py-0.5 h-7 text-xs w-16"
+              disabled={anchorType !== "custom"}
+              placeholder="cy"
+            />
+          </div>
+        </div>
+
+        {/* Validation panel */}
+        <div className="bg-white rounded-xl shadow p-2 text-xs">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-semibold">Validation</span>
+            <button
+              onClick={runValidation}
+              className="px-2 py-0.5 rounded bg-gray-800 text-white hover:bg-gray-700"
+            >
+              Run check
+            </button>
+            <label
+              className="flex items-center gap-1"
+              title="Không export khi còn lỗi (error)"
+            >
+              <input
+                type="checkbox"
+                checked={blockExportOnErrors}
+                onChange={(e) => setBlockExportOnErrors(e.target.checked)}
+              />
+              Block export on errors
+            </label>
+            {validationIssues && (
+              <span className="text-gray-600">
+                {validationIssues.filter((i) => i.severity === "error").length}{" "}
+                errors •{" "}
+                {
+                  validationIssues.filter((i) => i.severity === "warning")
+                    .length
+                }{" "}
+                warnings
+              </span>
+            )}
+          </div>
+          {validationIssues?.length > 0 && (
+            <ul className="mt-1 max-h-40 overflow-auto space-y-0.5">
+              {validationIssues.map((issue, i) => (
+                <li key={i}>
+                  <button
+                    onClick={() => focusIssue(issue)}
+                    className={`w-full text-left px-1 py-0.5 rounded bg-transparent hover:bg-gray-100 ${
+                      focusedIssue === issue ? "bg-gray-100" : ""
+                    }`}
+                  >
+                    <span
+                      className={`inline-block w-16 font-semibold ${
+                        issue.severity === "error"
+                          ? "text-red-600"
+                          : "text-amber-600"
+                      }`}
+                    >
+                      {issue.severity}
+                    </span>
+                    <span className="inline-block w-32 text-gray-500">
+                      {issue.type}
+                    </span>
+                    {issue.message}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {validationIssues?.length === 0 && (
+            <div className="mt-1 text-emerald-700">
+              Không phát hiện lỗi topo.
+            </div>
+          )}
+        </div>
+
+        {/* Lot ops panel (boolean) */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Lot ops</span>
+          <span>
+            A ={" "}
+            <b>
+              {selectedLotIndex() >= 0 ? lots[selection.index].lot_id : "–"}
+            </b>
+          </span>
+          <span>B</span>
+          <select
+            value={opLotB ?? ""}
+            onChange={(e) => setOpLotB(e.target.value || null)}
+            className="border rounded px-1.5 py-0.5 h-7 w-24"
+            title="Lô B (hoặc Ctrl/⌘+click trên canvas)"
+          >
+            <option value="">–</option>
+            {lots.map((l) => (
+              <option key={l.lot_id} value={l.lot_id}>
+                {l.lot_id}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={onMergeLots}
+            className="px-2 py-0.5 rounded bg-blue-700 text-white hover:bg-blue-600"
+          >
+            Merge A+B
+          </button>
+          <select
+            value={opRoadId}
+            onChange={(e) => setOpRoadId(e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7 w-20"
+            title="Internal road"
+          >
+            <option value="">Road</option>
+            {internalRoads.map((r) => (
+              <option key={r.road_id} value={r.road_id}>
+                {r.road_id}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={onSubtractRoad}
+            className="px-2 py-0.5 rounded bg-amber-600 text-white hover:bg-amber-500"
+          >
+            A − road
+          </button>
+          <button
+            onClick={onIntersectBoundary}
+            className="px-2 py-0.5 rounded bg-gray-800 text-white hover:bg-gray-700"
+          >
+            A ∩ boundary
+          </button>
+          <span className="text-gray-500">
+            Split: mode <b>Split line</b>, vẽ polyline rồi <b>Close shape</b>.
+          </span>
+          {opMessage && <span className="text-gray-700">{opMessage}</span>}
+        </div>
+
+        {/* Lot generator panel */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Lot generator</span>
+          <span>Frontage w</span>
+          <input
+            type="number"
+            value={genWidth}
+            onChange={(e) => setGenWidth(e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7 w-16"
+            title="Bề rộng mặt tiền mục tiêu (0 = bỏ qua)"
+          />
+          <span>Area</span>
+          <input
+            type="number"
+            value={genArea}
+            onChange={(e) => setGenArea(e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7 w-16"
+            title="Diện tích mục tiêu (0 = bỏ qua)"
+          />
+          <span>Frontage edge</span>
+          <select
+            value={genFrontage}
+            onChange={(e) => setGenFrontage(e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7 w-32"
+          >
+            <option value="auto">Auto (front road)</option>
+            <option value="selected">Selected edge</option>
+          </select>
+          <span>Remainder</span>
+          <select
+            value={genRemainder}
+            onChange={(e) => setGenRemainder(e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7 w-28"
+          >
+            <option value="merge">Merge into last</option>
+            <option value="flag">Flag</option>
+          </select>
+          <button
+            onClick={onGenerateLots}
+            className="px-2 py-0.5 rounded bg-blue-700 text-white hover:bg-blue-600"
+            title="Chia lot/boundary đang chọn thành các lô"
+          >
+            Generate lots
+          </button>
+          {genMessage && <span className="text-gray-600">{genMessage}</span>}
+        </div>
+
+        {/* Measure panel: công cụ đo + danh sách kết quả đã ghim */}
+        {(mode === "measure" ||
+          annotations.some((a) => a.type in MEASURE_TYPES)) && (
+          <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+            <span className="font-semibold">Measure</span>
+            {mode === "measure" && (
+              <>
+                <select
+                  value={measureTool}
+                  onChange={(e) => {
+                    setMeasureTool(e.target.value);
+                    resetMeasure();
+                  }}
+                  className="border rounded px-1.5 py-0.5 h-7"
+                >
+                  {Object.entries(MEASURE_TOOLS).map(([k, label]) => (
+                    <option key={k} value={k}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <span className="text-gray-600">
+                  {pinnedMeasure
+                    ? measureLabel(pinnedMeasure)
+                    : measureTool === "area"
+                    ? "Click vào lô / đường / ranh để đo"
+                    : measureTool === "angle"
+                    ? "Click 3 điểm: đầu tia – đỉnh góc – đầu tia"
+                    : "Click các điểm của đường đo"}
+                </span>
+                <button
+                  onClick={pinMeasure}
+                  disabled={!pinnedMeasure}
+                  className="px-2 py-0.5 rounded bg-teal-700 text-white hover:bg-teal-600 disabled:opacity-40"
+                  title="Ghim kết quả thành annotation (lưu + export)"
+                >
+                  📌 Pin
+                </button>
+                <button
+                  onClick={resetMeasure}
+                  className="px-2 py-0.5 rounded border bg-white hover:bg-gray-50"
+                >
+                  Reset
+                </button>
+              </>
+            )}
+            {annotations
+              .filter((a) => a.type in MEASURE_TYPES)
+              .map((a) => (
+                <span
+                  key={a.id}
+                  className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-teal-50 text-teal-800"
+                >
+                  {a.id}: {measureLabel(a)}
+                  <button
+                    onClick={() => removeAnnotation(a.id)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Xoá annotation"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+          </div>
+        )}
+
+        {/* Annotate panel: kích thước / leader / text / mũi tên bắc */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Annotations</span>
+          {mode === "annotate" && (
+            <>
+              <select
+                value={annotateTool}
+                onChange={(e) => {
+                  setAnnotateTool(e.target.value);
+                  setAnnotatePts([]);
+                }}
+                className="border rounded px-1.5 py-0.5 h-7"
+              >
+                {Object.entries(ANNOTATE_TOOLS).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {(annotateTool === "leader" || annotateTool === "text") && (
+                <input
+                  value={annotateText}
+                  onChange={(e) => setAnnotateText(e.target.value)}
+                  className="border rounded px-1.5 py-0.5 h-7 w-40"
+                  placeholder="Nội dung ghi chú"
+                />
+              )}
+              <span className="text-gray-600">
+                {annotateTool === "aligned"
+                  ? "Click 2 điểm của cạnh cần ghi kích thước"
+                  : annotateTool === "leader"
+                  ? "Click điểm chỉ (mũi tên) rồi vị trí chữ"
+                  : "Click vị trí đặt"}
+              </span>
+            </>
+          )}
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={autoLotDims}
+              onChange={(e) => {
+                setAutoLotDims(e.target.checked);
+                requestAutosave();
+              }}
+            />
+            Auto lot dimensions (frontage + depth)
+          </label>
+          {selectedAnnotation && (
+            <span className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-violet-50">
+              <b>{selectedAnnotation.id}</b>
+              {(selectedAnnotation.type === "leader" ||
+                selectedAnnotation.type === "text") && (
+                <input
+                  key={`${selectedAnnotation.id}-${selectedAnnotation.text}`}
+                  defaultValue={selectedAnnotation.text}
+                  onBlur={(e) => {
+                    if (e.target.value !== selectedAnnotation.text)
+                      updateAnnotation(selection.index, {
+                        text: e.target.value,
+                      });
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") e.currentTarget.blur(); // commit qua onBlur
+                  }}
+                  className="border rounded px-1.5 py-0.5 h-7 w-40"
+                />
+              )}
+              {selectedAnnotation.type === "north" && (
+                <label className="flex items-center gap-1">
+                  Rotation°
+                  <input
+                    key={`${selectedAnnotation.id}-${selectedAnnotation.rotation}`}
+                    type="number"
+                    defaultValue={selectedAnnotation.rotation}
+                    onBlur={(e) => {
+                      const v = Number(e.target.value) || 0;
+                      if (v !== selectedAnnotation.rotation)
+                        updateAnnotation(selection.index, { rotation: v });
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") e.currentTarget.blur();
+                    }}
+                    className="border rounded px-1.5 py-0.5 h-7 w-16"
+                  />
+                </label>
+              )}
+              {selectedAnnotation.type !== "leader" &&
+                selectedAnnotation.type !== "text" &&
+                selectedAnnotation.type !== "north" && (
+                  <span>{measureLabel(selectedAnnotation)}</span>
+                )}
+              <button
+                onClick={() => removeAnnotation(selectedAnnotation.id)}
+                className="text-red-600 hover:text-red-800"
+                title="Xoá annotation"
+              >
+                ✕
+              </button>
+            </span>
+          )}
+        </div>
+
+        {/* Setbacks panel: khoảng lùi front/side/rear → buildable envelope */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Setbacks</span>
+          {[
+            ["Front", setbackFront, setSetbackFront],
+            ["Side", setbackSide, setSetbackSide],
+            ["Rear", setbackRear, setSetbackRear],
+            ["Min envelope m²", minEnvelopeArea, setMinEnvelopeArea],
+          ].map(([label, value, setter]) => (
+            <label key={label} className="flex items-center gap-1">
+              {label}
+              {/* commit khi blur / Enter → envelope không tính lại theo từng phím */}
+              <input
+                key={`${label}-${value}`}
+                type="number"
+                min={0}
+                defaultValue={value}
+                onBlur={(e) => {
+                  const v = Number(e.target.value);
+                  if (!(v >= 0) || e.target.value === "")
+                    e.target.value = value;
+                  else if (v !== Number(value)) {
+                    setter(v);
+                    requestAutosave();
+                  }
+                }}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") e.currentTarget.blur();
+                }}
+                className="border rounded px-1.5 py-0.5 h-7 w-16"
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={showEnvelopes}
+              onChange={(e) => setShowEnvelopes(e.target.checked)}
+            />
+            Show envelopes
+          </label>
+          {(() => {
+            const flagged = lotEnvelopes.filter((e) => e.flag).length;
+            return flagged ? (
+              <span className="text-red-700">
+                ⚠ {flagged} lô có envelope bị triệt tiêu / nhỏ hơn tối thiểu
+              </span>
+            ) : null;
+          })()}
+        </div>
+
+        {/* Zoning rules panel */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Zoning rules</span>
+          <input
+            value={zoningRules.name}
+            onChange={(e) => updateZoningRule("name", e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7 w-24"
+            title="Tên rule-set"
+          />
+          {[
+            ["minLotArea", "Min area m²"],
+            ["minFrontage", "Min frontage m"],
+            ["maxDepthRatio", "Max depth/width"],
+            ["minRoadWidth", "Min road w"],
+          ].map(([key, label]) => (
+            <label key={key} className="flex items-center gap-1">
+              {label}
+              <input
+                type="number"
+                min={0}
+                value={zoningRules[key]}
+                onChange={(e) => updateZoningRule(key, e.target.value)}
+                className="border rounded px-1.5 py-0.5 h-7 w-16"
+                title="0 = tắt rule"
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={showZoningBadges}
+              onChange={(e) => setShowZoningBadges(e.target.checked)}
+            />
+            Badges
+          </label>
+          <span className={compliance.pass ? "text-green-700" : "text-red-700"}>
+            Lots {compliance.lots.filter((x) => x.pass).length}/
+            {compliance.lots.length} pass • Roads{" "}
+            {compliance.roads.filter((x) => x.pass).length}/
+            {compliance.roads.length} pass
+          </span>
+          {compliance.roads
+            .filter((x) => !x.pass)
+            .map((x) => (
+              <span key={x.road_id} className="text-red-700">
+                ✗ {x.road_id} w={x.checks[0]?.value}
+              </span>
+            ))}
+        </div>
+
+        {/* Frontage panel: mọi road giáp lô + rule chọn mặt tiền chính; lô không tiếp cận đường */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Frontage</span>
+          <label className="flex items-center gap-1">
+            Primary
+            <select
+              value={frontageRule}
+              onChange={(e) => updateFrontageRule(e.target.value)}
+              className="border rounded px-1.5 py-0.5 h-7"
+              title="Rule chọn front_road khi lô giáp nhiều road (lô góc)"
+            >
+              {Object.entries(FRONTAGE_RULES).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={showFrontages}
+              onChange={(e) => setShowFrontages(e.target.checked)}
+            />
+            Show frontages
+          </label>
+          <span className="text-gray-500">
+            Corner lots{" "}
+            {lotFrontageInfo.filter((x) => x.frontages.length > 1).length}
+          </span>
+          {landlockedLots.length > 0 ? (
+            <span className="text-red-700">
+              ⚠ Landlocked:{" "}
+              {landlockedLots.map((l, k) => (
+                <button
+                  key={l.lot_id}
+                  onClick={() => selectScheduleRow(lots.indexOf(l))}
+                  className="underline"
+                >
+                  {k > 0 ? ", " : ""}
+                  {l.lot_id}
+                </button>
+              ))}
+            </span>
+          ) : (
+            lots.length > 0 && (
+              <span className="text-green-700">Mọi lô đều có mặt tiền</span>
+            )
+          )}
+        </div>
+
+        {/* Thematic map panel: tô màu lô theo thuộc tính + chia lớp diện tích */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Thematic map</span>
+          <select
+            value={lotTheme.attribute}
+            onChange={(e) => updateLotTheme("attribute", e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7"
+          >
+            {Object.entries(THEME_ATTRIBUTES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {lotTheme.attribute === "area" && (
+            <>
+              <select
+                value={lotTheme.method}
+                onChange={(e) => updateLotTheme("method", e.target.value)}
+                className="border rounded px-1.5 py-0.5 h-7"
+              >
+                {Object.entries(THEME_METHODS).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {lotTheme.method === "manual" ? (
+                <input
+                  value={lotTheme.manual}
+                  onChange={(e) => updateLotTheme("manual", e.target.value)}
+                  placeholder="100, 150, 200"
+                  className="border rounded px-1.5 py-0.5 h-7 w-32"
+                  title="Ngưỡng diện tích (m²), phân cách bằng dấu phẩy"
+                />
+              ) : (
+                <label className="flex items-center gap-1">
+                  Classes
+                  <input
+                    type="number"
+                    min={2}
+                    max={THEME_RAMP.length}
+                    value={lotTheme.classes}
+                    onChange={(e) => updateLotTheme("classes", e.target.value)}
+                    className="border rounded px-1.5 py-0.5 h-7 w-14"
+                  />
+                </label>
+              )}
+            </>
+          )}
+          {lotTheme.attribute !== "none" && (
+            <span className="text-gray-500">
+              Legend hiển thị trên canvas và trong PNG export
+            </span>
+          )}
+        </div>
+
+        {/* Plan sheet panel: khổ giấy + tỉ lệ → SVG / PDF để in */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-semibold">Plan sheet</span>
+          <select
+            value={sheetOpts.paper}
+            onChange={(e) => updateSheetOpts("paper", e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7"
+          >
+            {Object.keys(SHEET_PAPERS).map((k) => (
+              <option key={k} value={k}>
+                {k}
+              </option>
+            ))}
+          </select>
+          <select
+            value={sheetOpts.orientation}
+            onChange={(e) => updateSheetOpts("orientation", e.target.value)}
+            className="border rounded px-1.5 py-0.5 h-7"
+          >
+            <option value="landscape">Landscape</option>
+            <option value="portrait">Portrait</option>
+          </select>
+          <select
+            value={sheetOpts.scale}
+            onChange={(e) => updateSheetOpts("scale", Number(e.target.value))}
+            className="border rounded px-1.5 py-0.5 h-7"
+          >
+            {SHEET_SCALES.map((s) => (
+              <option key={s} value={s}>
+                1:{s}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1">
+            Author
+            <input
+              value={sheetOpts.author}
+              onChange={(e) => updateSheetOpts("author", e.target.value)}
+              className="border rounded px-1.5 py-0.5 h-7 w-32"
+            />
+          </label>
+          {sheetFit == null ? (
+            <span className="text-gray-500">Chưa có hình để in</span>
+          ) : sheetFit <= sheetOpts.scale ? (
+            <span className="text-emerald-700">✓ Vừa khung bản vẽ</span>
+          ) : sheetFit === Infinity ? (
+            <span className="text-red-600">
+              ⚠ Phương án quá lớn cho khổ {sheetOpts.paper} kể cả ở 1:
+              {SHEET_SCALES[SHEET_SCALES.length - 1]} — chọn khổ giấy lớn hơn
+            </span>
+          ) : (
+            <span className="text-amber-700">
+              Không vừa khổ giấy — thử 1:{sheetFit}{" "}
+              <button
+                onClick={() => updateSheetOpts("scale", sheetFit)}
+                className="px-1.5 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+              >
+                Use
+              </button>
+            </span>
+          )}
+          <button
+            onClick={exportSheetSVG}
+            className="px-1.5 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-500"
+            title="Bản vẽ khổ giấy (mm, đúng tỉ lệ) dạng SVG"
+          >
+            ⬇︎ Sheet SVG
+          </button>
+          <button
+            onClick={printSheetPDF}
+            className="px-1.5 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-500"
+            title="Mở hộp thoại in đúng khổ giấy → Save as PDF (vector)"
+          >
+            🖨 Sheet PDF
+          </button>
+        </div>
+
+        {/* Layers panel: hiện/ẩn, khoá (không hit-test/snap), độ mờ */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-center gap-3 text-xs">
+          <span className="font-semibold">Layers</span>
+          {Object.entries(LAYER_LABELS).map(([key, label]) => (
+            <span key={key} className="flex items-center gap-1">
+              <label className="flex items-center gap-1" title="Hiện / ẩn">
+                <input
+                  type="checkbox"
+                  checked={layers[key].visible}
+                  onChange={(e) =>
+                    updateLayer(key, { visible: e.target.checked })
+                  }
+                />
+                {label}
+              </label>
+              {key !== "labels" && (
+                <button
+                  onClick={() =>
+                    updateLayer(key, { locked: !layers[key].locked })
+                  }
+                  className={`px-1 rounded border ${
+                    layers[key].locked ? "bg-gray-800 text-white" : "bg-white"
+                  }`}
+                  title="Khoá: không chọn / kéo / snap vào layer này"
+                >
+                  {layers[key].locked ? "🔒" : "🔓"}
+                </button>
+              )}
+              <input
+                type="range"
+                min={0.1}
+                max={1}
+                step={0.1}
+                value={layers[key].opacity}
+                onChange={(e) =>
+                  updateLayer(key, { opacity: Number(e.target.value) })
+                }
+                className="w-16"
+                title={`Opacity ${Math.round(layers[key].opacity * 100)}%`}
+              />
+            </span>
+          ))}
+        </div>
+
+        {/* Underlay panel: ảnh nền + georeference bằng 2–3 điểm khống chế */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-start gap-2 text-xs">
+          <span className="font-semibold">Underlay</span>
+          <label className="px-2 py-0.5 rounded border bg-white hover:bg-gray-50 cursor-pointer">
+            {underlay ? "Replace image" : "Load image"}
+            <input
+              type="file"
+              accept="image/png,image/jpeg"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = "";
+                if (file) loadUnderlay(file);
+              }}
+            />
+          </label>
+          {underlay && (
+            <>
+              <span className="text-gray-600">
+                {underlay.name} ({underlay.width}×{underlay.height} px)
+              </span>
+              <label className="flex items-center gap-1">
+                Opacity
+                <input
+                  type="range"
+                  min={0.1}
+                  max={1}
+                  step={0.05}
+                  value={underlay.opacity}
+                  onChange={(e) =>
+                    updateUnderlay({ opacity: Number(e.target.value) })
+                  }
+                  className="w-20"
+                />
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={underlay.locked}
+                  onChange={(e) => {
+                    updateUnderlay({ locked: e.target.checked });
+                    setUnderlayPick(null);
+                  }}
+                />
+                Lock
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={underlay.includeInExport}
+                  onChange={(e) =>
+                    updateUnderlay({ includeInExport: e.target.checked })
+                  }
+                />
+                Include in PNG
+              </label>
+              <button
+                onClick={() => {
+                  setUnderlay(null);
+                  setUnderlayPick(null);
+                }}
+                className="px-2 py-0.5 rounded border bg-white hover:bg-gray-50"
+              >
+                Remove
+              </button>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-gray-500">
+                    <th className="text-left">CP</th>
+                    <th className="text-left">Pixel u, v</th>
+                    <th className="text-left">Canvas x, y</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {underlay.cps.map((cp, i) => (
+                    <tr key={i}>
+                      <td>CP{i + 1}</td>
+                      {[
+                        ["px", "u", "v"],
+                        ["xy", "x", "y"],
+                      ].map(([target, k1, k2]) => (
+                        <td key={target} className="whitespace-nowrap">
+                          {[k1, k2].map((k) => (
+                            <input
+                              key={k}
+                              type="number"
+                              value={cp[k]}
+                              disabled={underlay.locked}
+                              onChange={(e) =>
+                                setUnderlayCp(i, { [k]: e.target.value })
+                              }
+                              className="border rounded px-1 py-0.5 w-20 mr-1 font-mono"
+                            />
+                          ))}
+                          <button
+                            disabled={underlay.locked}
+                            onClick={() =>
+                              setUnderlayPick(
+                                underlayPick?.i === i &&
+                                  underlayPick.target === target
+                                  ? null
+                                  : { i, target }
+                              )
+                            }
+                            className={`px-1.5 py-0.5 rounded border disabled:opacity-40 ${
+                              underlayPick?.i === i &&
+                              underlayPick.target === target
+                                ? "bg-pink-600 text-white"
+                                : "bg-white"
+                            }`}
+                            title={
+                              target === "px"
+                                ? "Click lên điểm trên ảnh để lấy toạ độ pixel"
+                                : "Click lên canvas (có snap) để lấy toạ độ đích"
+                            }
+                          >
+                            Pick
+                          </button>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {underlayGeoref && (
+                <span
+                  className={
+                    underlayGeoref.error ? "text-red-700" : "text-gray-600"
+                  }
+                >
+                  {underlayGeoref.error
+                    ? `⚠ ${underlayGeoref.error}`
+                    : underlayGeoref.georeferenced
+                    ? (() => {
+                        const { rotation, scaleX, scaleY } = describeAffine(
+                          underlayGeoref.matrix
+                        );
+                        return `${
+                          underlayGeoref.pairs >= 3
+                            ? "Affine (3 CP)"
+                            : "Similarity (2 CP)"
+                        } • rot ${rotation.toFixed(
+                          2
+                        )}° • scale ${scaleX.toPrecision(
+                          4
+                        )} × ${scaleY.toPrecision(4)} unit/px`;
+                      })()
+                    : "Cần ≥ 2 cặp điểm khống chế để georeference"}
+                </span>
+              )}
+              {!underlayGeoref?.georeferenced &&
+                (underlay.offset[0] !== 0 || underlay.offset[1] !== 0) && (
+                  <span className="flex items-center gap-1 text-gray-600">
+                    Offset {underlay.offset[0].toFixed(2)},{" "}
+                    {underlay.offset[1].toFixed(2)}
+                    <button
+                      onClick={() => updateUnderlay({ offset: [0, 0] })}
+                      className="px-1.5 py-0.5 rounded border bg-white hover:bg-gray-50"
+                    >
+                      Reset
+                    </button>
+                  </span>
+                )}
+              {underlayPick && (
+                <span className="text-pink-700">
+                  Click lên canvas để lấy{" "}
+                  {underlayPick.target === "px" ? "pixel" : "toạ độ"} cho CP
+                  {underlayPick.i + 1}
+                </span>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Traverse (COGO) panel: boundary từ phương vị / khoảng cách */}
+        <div className="bg-white rounded-xl shadow p-2 flex flex-wrap items-start gap-2 text-xs">
+          <span className="font-semibold">Traverse (COGO)</span>
+          <label className="flex items-center gap-1">
+            Start X
+            <input
+              type="number"
+              value={travStartX}
+              onChange={(e) => setTravStartX(e.target.value)}
+              className="border rounded px-1.5 py-0.5 h-7 w-20"
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            Y
+            <input
+              type="number"
+              value={travStartY}
+              onChange={(e) => setTravStartY(e.target.value)}
+              className="border rounded px-1.5 py-0.5 h-7 w-20"
             />
+          </label>
+          <textarea
+            value={travText}
+            onChange={(e) => setTravText(e.target.value)}
+            rows={4}
+            className="border rounded px-1.5 py-0.5 w-64 font-mono"
+            placeholder={"N 45°30'E, 120.50\nS 44°30'E, 80\n225°30', 120.5"}
+            title="Mỗi dòng: phương vị (góc 1/4 hoặc azimuth) + khoảng cách"
+          />
+          <div className="flex flex-col gap-1">
+            {traverse.errors.map((m, i) => (
+              <span key={i} className="text-red-700">
+                {m}
+              </span>
+            ))}
+            {traverse.result && (
+              <>
+                <span>
+                  {traverse.calls.length} calls • perimeter{" "}
+                  {traverse.result.perimeter.toFixed(3)} m
+                </span>
+                <span>
+                  Closure error {traverse.result.error.toFixed(3)} m (
+                  {formatBearing(traverse.result.errorAzimuth)}) • precision{" "}
+                  {Number.isFinite(traverse.result.precision)
+                    ? `1:${Math.round(traverse.result.precision)}`
+                    : "exact"}
+                </span>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => applyTraverse(false)}
+                    className="px-2 py-0.5 rounded bg-gray-800 text-white hover:bg-gray-700"
+                    title="Dùng toạ độ thô (không hiệu chỉnh)"
+                  >
+                    Close as-is
+                  </button>
+                  <button
+                    onClick={() => applyTraverse(true)}
+                    className="px-2 py-0.5 rounded bg-emerald-700 text-white hover:bg-emerald-600"
+                    title="Phân bổ sai số khép theo chiều dài (Compass/Bowditch)"
+                  >
+                    Bowditch adjust + close
+                  </button>
+                </div>
+              </>
+            )}
           </div>
         </div>
 
-        <div className="rounded-2xl overflow-hidden bg-white shadow">
+        <div
+          className={`rounded-2xl overflow-hidden bg-white shadow ${
+            dropActive ? "ring-4 ring-blue-400" : ""
+          }`}
+        >
           <svg
             ref={svgRef}
             onClick={onCanvasClick}
             onMouseDown={onPointerDown}
             onMouseUp={onPointerUp}
-            onWheel={(e) => {
-              e.preventDefault();
-              const pt = svgRef.current.createSVGPoint();
-              pt.x = e.clientX;
-              pt.y = e.clientY;
-              const { x, y } = pt.matrixTransform(
-                svgRef.current.getScreenCTM().inverse()
-              );
-              const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
-              zoomAt(x, y, factor);
-            }}
+            onTouchStart={onTouchStart}
+            onTouchMove={onTouchMove}
+            onTouchEnd={onTouchEnd}
+            onTouchCancel={onTouchEnd}
             onMouseMove={onMouseMove}
             onMouseLeave={onMouseLeave}
+            onDragOver={onCanvasDragOver}
+            onDragLeave={() => setDropActive(false)}
+            onDrop={onCanvasDrop}
             viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.w} ${viewBox.h}`}
             // className="block mx-auto w-full h-[60vh] md:h-[70vh] xl:h-[78vh] 2xl:h-[82vh] cursor-crosshair select-none"
             // className="block w-full h-full cursor-crosshair select-none"
-            className={`block w-full h-full ${svgCursorClass} select-none`}
+            className={`block w-full h-full ${svgCursorClass} select-none touch-none`}
           >
             {/* Grid */}
             <defs>
@@ -2526,6 +9436,61 @@ export default function LandSubdivisionApp() {
                 />
               </pattern>
             </defs>
+            {/* Ảnh nền đã georeference (dưới lưới & hình học) */}
+            {underlay && underlayGeoref && (
+              <g
+                data-underlay="1"
+                pointerEvents="none"
+                opacity={underlay.opacity}
+                transform={`matrix(${underlayGeoref.matrix.join(" ")})`}
+              >
+                <image
+                  href={underlay.href}
+                  x={0}
+                  y={0}
+                  width={underlay.width}
+                  height={underlay.height}
+                  preserveAspectRatio="none"
+                />
+              </g>
+            )}
+            {/* Điểm khống chế (toạ độ canvas) khi ảnh nền chưa khoá */}
+            {underlay && !underlay.locked && (
+              <g data-underlay="1" pointerEvents="none">
+                {underlay.cps.map((cp, i) => {
+                  const x = Number(cp.x),
+                    y = Number(cp.y);
+                  if (
+                    cp.x === "" ||
+                    cp.y === "" ||
+                    !isFinite(x) ||
+                    !isFinite(y)
+                  )
+                    return null;
+                  const r = R_HANDLE * 1.4;
+                  return (
+                    <g key={`ucp-${i}`}>
+                      <path
+                        d={`M ${x - r} ${y} L ${x + r} ${y} M ${x} ${
+                          y - r
+                        } L ${x} ${y + r}`}
+                        stroke="#db2777"
+                        strokeWidth={2}
+                        vectorEffect="non-scaling-stroke"
+                      />
+                      <text
+                        x={x + DX_LABEL}
+                        y={y - DY_LABEL}
+                        fontSize={FONT_UNIT}
+                        fill="#db2777"
+                      >
+                        CP{i + 1}
+                      </text>
+                    </g>
+                  );
+                })}
+              </g>
+            )}
             <rect
               x={viewBox.x}
               y={viewBox.y}
@@ -2544,52 +9509,60 @@ export default function LandSubdivisionApp() {
             />
 
             {/* Boundary */}
-            {boundary.length >= 2 && !boundaryClosed && (
-              <polyline
-                points={boundary.map((p) => p.join(",")).join(" ")}
-                fill="none"
-                stroke="#111827"
-                strokeWidth="2"
-                vectorEffect="non-scaling-stroke"
-              />
-            )}
-            {boundaryClosed && (
-              <polygon
-                points={boundary.map((p) => p.join(",")).join(" ")}
-                fill="none"
-                stroke="#111827"
-                strokeWidth="2"
-                vectorEffect="non-scaling-stroke"
-              />
-            )}
-            {boundaryClosed && boundary.length >= 2 && (
-              <g pointerEvents="none">{drawPointLabels(boundary, "#111827")}</g>
-            )}
+            {layers.boundary.visible && (
+              <g opacity={layers.boundary.opacity}>
+                {boundary.length >= 2 && !boundaryClosed && (
+                  <polyline
+                    points={boundary.map((p) => p.join(",")).join(" ")}
+                    fill="none"
+                    stroke="#111827"
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+                {boundaryClosed && (
+                  <polygon
+                    points={boundary.map((p) => p.join(",")).join(" ")}
+                    fill="none"
+                    stroke="#111827"
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+                {boundaryClosed && boundary.length >= 2 && (
+                  <g pointerEvents="none">
+                    {drawPointLabels(boundary, "#111827")}
+                  </g>
+                )}
 
-            {boundaryClosed && boundary.length >= 2 && (
-              <g pointerEvents="none">
-                {segmentsForLabels(boundary, true).map(([a, b], i) => {
-                  const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
-                  return (
-                    <text
-                      key={`b-l${i}`}
-                      x={mid[0] + DX_LABEL}
-                      y={mid[1] - DY_LABEL}
-                      fontSize={FONT_UNIT}
-                      fill="#111827"
-                    >
-                      {distance(a, b).toFixed(2)} m
-                    </text>
-                  );
-                })}
+                {boundaryClosed &&
+                  boundary.length >= 2 &&
+                  layers.labels.visible && (
+                    <g pointerEvents="none" opacity={layers.labels.opacity}>
+                      {segmentsForLabels(boundary, true).map(([a, b], i) => {
+                        const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+                        return (
+                          <text
+                            key={`b-l${i}`}
+                            x={mid[0] + DX_LABEL}
+                            y={mid[1] - DY_LABEL}
+                            fontSize={FONT_UNIT}
+                            fill="#111827"
+                          >
+                            {distance(a, b).toFixed(2)} m
+                          </text>
+                        );
+                      })}
+                    </g>
+                  )}
+                {selection?.kind === "boundary" &&
+                  boundaryClosed &&
+                  drawEdgeHighlight(boundary, "boundary")}
+                {selection?.kind === "boundary" &&
+                  boundaryClosed &&
+                  drawVertexHandles(boundary, "boundary", "b-")}
               </g>
             )}
-            {selection?.kind === "boundary" &&
-              boundaryClosed &&
-              drawEdgeHighlight(boundary, "boundary")}
-            {selection?.kind === "boundary" &&
-              boundaryClosed &&
-              drawVertexHandles(boundary, "boundary", "b-")}
             {/* Live BOUNDARY area overlay while drawing */}
             {liveBoundaryPoly && (
               <g pointerEvents="none">
@@ -2668,6 +9641,50 @@ export default function LandSubdivisionApp() {
               </g>
             )}
 
+            {/* Traverse preview: thô (tím đứt) + đã hiệu chỉnh (xanh) */}
+            {traverse.result && (
+              <g pointerEvents="none">
+                <polyline
+                  points={traverse.result.points
+                    .map((p) => p.join(","))
+                    .join(" ")}
+                  fill="none"
+                  stroke="#7c3aed"
+                  strokeWidth={1.5}
+                  strokeDasharray="6 4"
+                  vectorEffect="non-scaling-stroke"
+                />
+                <polyline
+                  points={traverse.result.adjusted
+                    .map((p) => p.join(","))
+                    .join(" ")}
+                  fill="none"
+                  stroke="#059669"
+                  strokeWidth={1.5}
+                  vectorEffect="non-scaling-stroke"
+                />
+                <circle
+                  cx={traverse.result.points[0][0]}
+                  cy={traverse.result.points[0][1]}
+                  r={R_EP}
+                  fill="#7c3aed"
+                />
+              </g>
+            )}
+
+            {/* Live road polygon (mode Road centerline) */}
+            {liveRoadPoly && (
+              <polygon
+                points={liveRoadPoly.map((p) => p.join(",")).join(" ")}
+                fill="#f59e0b33"
+                stroke="#d97706"
+                strokeWidth={1.5}
+                vectorEffect="non-scaling-stroke"
+                strokeDasharray="6 6"
+                pointerEvents="none"
+              />
+            )}
+
             {/* Live LOT area overlay while drawing */}
             {liveLotPoly && (
               <g pointerEvents="none">
@@ -2693,153 +9710,378 @@ export default function LandSubdivisionApp() {
             )}
 
             {/* Public road entry points */}
-            {publicRoads.map((pr) => (
-              <g key={`pr-${pr.road_id}`}>
-                {pr.entry_points.map((p, i) => (
-                  <g key={`pub-${pr.road_id}-${i}`}>
-                    <circle
-                      cx={p[0]}
-                      cy={p[1]}
-                      r={R_EP}
-                      fill={
-                        selection &&
-                        selection.kind === "publicEP" &&
-                        selection.index === publicRoads.indexOf(pr) &&
-                        selection.vertexIndex === i
-                          ? "#ef4444"
-                          : "#059669"
-                      }
-                    />
-                    <text
-                      x={p[0] + DX_LABEL}
-                      y={p[1] - DY_LABEL}
-                      fontSize={FONT_UNIT}
-                      fill="#065f46"
-                    >
-                      {pr.road_id}-EP{i + 1}
-                    </text>
+            {layers.publicRoads.visible && (
+              <g opacity={layers.publicRoads.opacity}>
+                {publicRoads.map((pr) => (
+                  <g key={`pr-${pr.road_id}`}>
+                    {/* Hành lang public road (right-of-way) ngoài ranh */}
+                    {(() => {
+                      const row = publicRoadCorridor(
+                        pr,
+                        boundary,
+                        boundaryClosed
+                      );
+                      if (row.length < 3) return null;
+                      const [rcx, rcy] = polygonCentroid(row);
+                      return (
+                        <g pointerEvents="none">
+                          <polygon
+                            points={row.map((p) => p.join(",")).join(" ")}
+                            fill="#9ca3af55"
+                            stroke="#6b7280"
+                            strokeWidth={1.5}
+                            vectorEffect="non-scaling-stroke"
+                          />
+                          <text
+                            x={rcx}
+                            y={rcy}
+                            fontSize={FONT_UNIT}
+                            fill="#374151"
+                            textAnchor="middle"
+                          >
+                            {pr.road_id} • {pr.width} m
+                          </text>
+                        </g>
+                      );
+                    })()}
+                    {pr.entry_points.map((p, i) => (
+                      <g key={`pub-${pr.road_id}-${i}`}>
+                        <circle
+                          cx={p[0]}
+                          cy={p[1]}
+                          r={R_EP}
+                          fill={
+                            selection &&
+                            selection.kind === "publicEP" &&
+                            selection.index === publicRoads.indexOf(pr) &&
+                            selection.vertexIndex === i
+                              ? "#ef4444"
+                              : "#059669"
+                          }
+                        />
+                        <text
+                          x={p[0] + DX_LABEL}
+                          y={p[1] - DY_LABEL}
+                          fontSize={FONT_UNIT}
+                          fill="#065f46"
+                        >
+                          {pr.road_id}-EP{i + 1}
+                        </text>
+                      </g>
+                    ))}
                   </g>
                 ))}
               </g>
-            ))}
-
+            )}
             {/* Internal roads polygons */}
-            {internalRoads.map((r, idx) => (
-              <g key={r.road_id}>
-                <polygon
-                  points={r.polygon.map((p) => p.join(",")).join(" ")}
-                  fill="#f59e0b55"
-                  stroke="#fadf5a"
-                  strokeWidth={2}
-                  vectorEffect="non-scaling-stroke"
-                />
-                {showWidthDebug &&
-                  r.polygon.length >= 2 &&
-                  (() => {
-                    const inf =
-                      dominantParallelWallsInfo(r.polygon, 10) ||
-                      maxLengthDirInfo(r.polygon);
-
-                    // Hai đường đỡ song song dài nhất: n·x = minN và n·x = maxN
-                    const n = inf.n;
-                    const t = [-n[1], n[0]]; // tiếp tuyến (song song với hướng dài d)
-                    const L = Math.max(viewBox.w, viewBox.h) * 2;
-                    const P = (c) => {
-                      // trả về 2 điểm trên đường n·x = c để vẽ line dài
-                      // chọn điểm gốc p0 thỏa n·p0 = c
-                      const p0 = [n[0] * c, n[1] * c];
-                      return [
-                        [p0[0] - t[0] * L, p0[1] - t[1] * L],
-                        [p0[0] + t[0] * L, p0[1] + t[1] * L],
-                      ];
-                    };
-                    const [A1, A2] = P(inf.minN);
-                    const [B1, B2] = P(inf.maxN);
-                    const c = polygonCentroid(r.polygon);
-
-                    return (
-                      <g pointerEvents="none">
-                        <line
-                          x1={A1[0]}
-                          y1={A1[1]}
-                          x2={A2[0]}
-                          y2={A2[1]}
-                          stroke="#ef4444"
-                          strokeWidth={1.5}
-                          vectorEffect="non-scaling-stroke"
-                          strokeDasharray="6 6"
-                        />
-                        <line
-                          x1={B1[0]}
-                          y1={B1[1]}
-                          x2={B2[0]}
-                          y2={B2[1]}
-                          stroke="#ef4444"
-                          strokeWidth={1.5}
-                          vectorEffect="non-scaling-stroke"
-                          strokeDasharray="6 6"
-                        />
+            {layers.internalRoads.visible && (
+              <g opacity={layers.internalRoads.opacity}>
+                {internalRoads.map((r, idx) => (
+                  <g key={r.road_id}>
+                    <polygon
+                      points={r.polygon.map((p) => p.join(",")).join(" ")}
+                      fill="#f59e0b55"
+                      stroke="#fadf5a"
+                      strokeWidth={2}
+                      vectorEffect="non-scaling-stroke"
+                    />
+                    {showWidthDebug &&
+                      r.polygon.length >= 2 &&
+                      (() => {
+                        const inf =
+                          dominantParallelWallsInfo(r.polygon, 10) ||
+                          maxLengthDirInfo(r.polygon);
+
+                        // Hai đường đỡ song song dài nhất: n·x = minN và n·x = maxN
+                        const n = inf.n;
+                        const t = [-n[1], n[0]]; // tiếp tuyến (song song với hướng dài d)
+                        const L = Math.max(viewBox.w, viewBox.h) * 2;
+                        const P = (c) => {
+                          // trả về 2 điểm trên đường n·x = c để vẽ line dài
+                          // chọn điểm gốc p0 thỏa n·p0 = c
+                          const p0 = [n[0] * c, n[1] * c];
+                          return [
+                            [p0[0] - t[0] * L, p0[1] - t[1] * L],
+                            [p0[0] + t[0] * L, p0[1] + t[1] * L],
+                          ];
+                        };
+                        const [A1, A2] = P(inf.minN);
+                        const [B1, B2] = P(inf.maxN);
+                        const c = polygonCentroid(r.polygon);
+
+                        return (
+                          <g pointerEvents="none">
+                            <line
+                              x1={A1[0]}
+                              y1={A1[1]}
+                              x2={A2[0]}
+                              y2={A2[1]}
+                              stroke="#ef4444"
+                              strokeWidth={1.5}
+                              vectorEffect="non-scaling-stroke"
+                              strokeDasharray="6 6"
+                            />
+                            <line
+                              x1={B1[0]}
+                              y1={B1[1]}
+                              x2={B2[0]}
+                              y2={B2[1]}
+                              stroke="#ef4444"
+                              strokeWidth={1.5}
+                              vectorEffect="non-scaling-stroke"
+                              strokeDasharray="6 6"
+                            />
+                            <text
+                              x={c[0] + DX_LABEL}
+                              y={c[1] - DY_LABEL}
+                              fontSize={FONT_UNIT}
+                              fill="#ef4444"
+                            >
+                              w={inf.width} • L={inf.length}
+                            </text>
+                          </g>
+                        );
+                      })()}
+
+                    {r.polygon.length > 0 && (
+                      <text
+                        x={r.polygon[0][0]}
+                        y={r.polygon[0][1]}
+                        fontSize={FONT_UNIT}
+                        fill="#92400e"
+                      >
+                        {r.road_id}
+                      </text>
+                    )}
+                    {/* Thêm nhãn toạ độ các điểm */}
+                    {drawPointLabels(r.polygon, "#92400e")}
+                    {selection?.kind === "internal" &&
+                      selection.index === idx &&
+                      drawEdgeHighlight(r.polygon, "internal")}
+                    {selection?.kind === "internal" &&
+                      selection.index === idx &&
+                      drawVertexHandles(
+                        r.polygon,
+                        "internal",
+                        `ir-${idx}-`,
+                        idx
+                      )}
+                    {/* Tim đường (polygon sinh từ centerline) */}
+                    {r.centerline && (
+                      <polyline
+                        points={r.centerline.map((p) => p.join(",")).join(" ")}
+                        fill="none"
+                        stroke="#b45309"
+                        strokeWidth={1.5}
+                        strokeDasharray="8 4 2 4"
+                        vectorEffect="non-scaling-stroke"
+                      />
+                    )}
+                    {r.centerline &&
+                      selection?.kind === "centerline" &&
+                      selection.index === idx &&
+                      drawEdgeHighlight(r.centerline, "centerline")}
+                    {r.centerline &&
+                      selection?.kind === "centerline" &&
+                      selection.index === idx &&
+                      drawVertexHandles(
+                        r.centerline,
+                        "centerline",
+                        `cl-${idx}-`,
+                        idx
+                      )}
+                  </g>
+                ))}
+              </g>
+            )}
+            {/* Lots polygons */}
+            {layers.lots.visible && (
+              <g opacity={layers.lots.opacity}>
+                {lots.map((l, idx) => {
+                  const [lcx, lcy] = polygonCentroid(l.polygon);
+                  const lotArea = shoelaceArea(l.polygon).toFixed(1);
+                  return (
+                    <g key={l.lot_id}>
+                      <polygon
+                        points={l.polygon.map((p) => p.join(",")).join(" ")}
+                        fill={
+                          lotThemeResult.colors[idx]
+                            ? `${lotThemeResult.colors[idx]}99`
+                            : l.remainder
+                            ? "#f9731655"
+                            : "#3b82f655"
+                        }
+                        stroke={l.remainder ? "#c2410c" : "#1d4ed8"}
+                        strokeWidth={l.lot_id === opLotB ? 4 : 2}
+                        strokeDasharray={l.remainder ? "6 4" : undefined}
+                        vectorEffect="non-scaling-stroke"
+                      />
+                      {showEnvelopes &&
+                        lotEnvelopes[idx]?.polygon.length >= 3 && (
+                          <polygon
+                            points={lotEnvelopes[idx].polygon
+                              .map((p) => p.join(","))
+                              .join(" ")}
+                            fill={
+                              lotEnvelopes[idx].flag ? "#ef444433" : "#22c55e33"
+                            }
+                            stroke={
+                              lotEnvelopes[idx].flag ? "#b91c1c" : "#15803d"
+                            }
+                            strokeWidth={1}
+                            strokeDasharray="4 3"
+                            vectorEffect="non-scaling-stroke"
+                            pointerEvents="none"
+                          />
+                        )}
+                      {/* mặt tiền: nét liền đậm = mặt tiền chính, nét đứt = road phụ */}
+                      {showFrontages &&
+                        lotFrontageInfo[idx].frontages.flatMap((f) => {
+                          const main =
+                            f.road_id === lotFrontageInfo[idx].primary;
+                          return f.parts.map(([p, q], k) => (
+                            <line
+                              key={`fr-${f.road_id}-${k}`}
+                              x1={p[0]}
+                              y1={p[1]}
+                              x2={q[0]}
+                              y2={q[1]}
+                              stroke={main ? "#ea580c" : "#f59e0b"}
+                              strokeWidth={main ? 5 : 3}
+                              strokeDasharray={main ? undefined : "6 3"}
+                              strokeLinecap="round"
+                              vectorEffect="non-scaling-stroke"
+                              pointerEvents="none"
+                            />
+                          ));
+                        })}
+                      {/* đặt label ở centroid cho dễ đọc */}
+                      {l.polygon.length > 0 && (
                         <text
-                          x={c[0] + DX_LABEL}
-                          y={c[1] - DY_LABEL}
+                          x={lcx}
+                          y={lcy}
                           fontSize={FONT_UNIT}
-                          fill="#ef4444"
+                          fill="#1e40af"
                         >
-                          w={inf.width} • L={inf.length}
+                          {l.lot_id} – {lotArea} m²{l.remainder ? " ⚠ dư" : ""}
+                          {showEnvelopes && lotEnvelopes[idx]?.flag
+                            ? " ⚠ envelope"
+                            : ""}
+                          {showFrontages &&
+                          !lotFrontageInfo[idx].frontages.length
+                            ? " ⚠ landlocked"
+                            : ""}
+                          {showZoningBadges &&
+                            compliance.lots[idx]?.checks.length > 0 && (
+                              <tspan
+                                fill={
+                                  compliance.lots[idx].pass
+                                    ? "#15803d"
+                                    : "#b91c1c"
+                                }
+                              >
+                                {compliance.lots[idx].pass
+                                  ? " ✓"
+                                  : ` ✗ ${compliance.lots[idx].checks
+                                      .filter((c) => !c.pass)
+                                      .map((c) => ZONING_RULE_LABELS[c.rule])
+                                      .join(", ")}`}
+                              </tspan>
+                            )}
                         </text>
-                      </g>
-                    );
-                  })()}
-
-                {r.polygon.length > 0 && (
-                  <text
-                    x={r.polygon[0][0]}
-                    y={r.polygon[0][1]}
-                    fontSize={FONT_UNIT}
-                    fill="#92400e"
-                  >
-                    {r.road_id}
-                  </text>
+                      )}
+                      {selection?.kind === "lot" &&
+                        selection.index === idx &&
+                        drawEdgeHighlight(l.polygon, "lot")}
+                      {selection?.kind === "lot" &&
+                        selection.index === idx &&
+                        drawVertexHandles(l.polygon, "lot", `lt-${idx}-`, idx)}
+                      {drawPointLabels(l.polygon, "#1e40af")}
+                    </g>
+                  );
+                })}
+              </g>
+            )}
+            {/* Annotations (kích thước tự động + đã ghim) + phép đo / ghi chú đang đặt */}
+            {layers.annotations.visible && (
+              <g opacity={layers.annotations.opacity}>
+                {autoDims.map((a) =>
+                  drawAnnotation(a, `auto-${a.id}`, "#475569")
                 )}
-                {/* Thêm nhãn toạ độ các điểm */}
-                {drawPointLabels(r.polygon, "#92400e")}
-                {selection?.kind === "internal" &&
-                  selection.index === idx &&
-                  drawEdgeHighlight(r.polygon, "internal")}
-                {selection?.kind === "internal" &&
-                  selection.index === idx &&
-                  drawVertexHandles(r.polygon, "internal", `ir-${idx}-`)}
+                {annotations.map((a) => drawAnnotation(a, `ann-${a.id}`))}
               </g>
-            ))}
-            {/* Lots polygons */}
-            {lots.map((l, idx) => {
-              const [lcx, lcy] = polygonCentroid(l.polygon);
-              const lotArea = shoelaceArea(l.polygon).toFixed(1);
-              return (
-                <g key={l.lot_id}>
-                  <polygon
-                    points={l.polygon.map((p) => p.join(",")).join(" ")}
-                    fill="#3b82f655"
-                    stroke="#1d4ed8"
+            )}
+            {selectedAnnotation && (
+              <g pointerEvents="none">
+                {[
+                  ...selectedAnnotation.points,
+                  ...(selectedAnnotation.type === "aligned"
+                    ? (() => {
+                        const { A1, B1 } = alignedDimParts(
+                          selectedAnnotation.points[0],
+                          selectedAnnotation.points[1],
+                          selectedAnnotation.offset
+                        );
+                        return [[(A1[0] + B1[0]) / 2, (A1[1] + B1[1]) / 2]];
+                      })()
+                    : []),
+                ].map((q, i) => (
+                  <circle
+                    key={`ah-${i}`}
+                    cx={q[0]}
+                    cy={q[1]}
+                    r={R_HANDLE}
+                    fill="#ffffff"
+                    stroke="#6d28d9"
                     strokeWidth={2}
                     vectorEffect="non-scaling-stroke"
                   />
-                  {/* đặt label ở centroid cho dễ đọc */}
-                  {l.polygon.length > 0 && (
-                    <text x={lcx} y={lcy} fontSize={FONT_UNIT} fill="#1e40af">
-                      {l.lot_id} – {lotArea} m²
-                    </text>
-                  )}
-                  {selection?.kind === "lot" &&
-                    selection.index === idx &&
-                    drawEdgeHighlight(l.polygon, "lot")}
-                  {selection?.kind === "lot" &&
-                    selection.index === idx &&
-                    drawVertexHandles(l.polygon, "lot", `lt-${idx}-`)}
-                  {drawPointLabels(l.polygon, "#1e40af")}
-                </g>
-              );
-            })}
+                ))}
+              </g>
+            )}
+            {liveAnnotation &&
+              drawAnnotation(liveAnnotation, "annotate-live", "#db2777")}
+            {mode === "annotate" &&
+              annotatePts.map((p, i) => (
+                <circle
+                  key={`ap-${i}`}
+                  cx={p[0]}
+                  cy={p[1]}
+                  r={R_POINT}
+                  fill="#db2777"
+                />
+              ))}
+            {liveMeasure && drawMeasure(liveMeasure, "measure-live", "#db2777")}
+            {mode === "measure" &&
+              measurePts.map((p, i) => (
+                <circle
+                  key={`mp-${i}`}
+                  cx={p[0]}
+                  cy={p[1]}
+                  r={R_POINT}
+                  fill="#db2777"
+                />
+              ))}
+
+            {/* Điểm lỗi của issue đang xem (Validation) */}
+            {focusedIssue && (
+              <g pointerEvents="none">
+                {focusedIssue.focus.slice(0, 200).map((p, i) => (
+                  <circle
+                    key={`issue-${i}`}
+                    cx={p[0]}
+                    cy={p[1]}
+                    r={R_HANDLE * 1.6}
+                    fill="none"
+                    stroke={
+                      focusedIssue.severity === "error" ? "#dc2626" : "#d97706"
+                    }
+                    strokeWidth={2}
+                    vectorEffect="non-scaling-stroke"
+                  />
+                ))}
+              </g>
+            )}
 
             {/* Current points markers while drawing */}
             {current.map((p, i) => (
@@ -2895,10 +10137,297 @@ export default function LandSubdivisionApp() {
                 })()}
               </g>
             )}
+            {/* Legend của thematic map: góc trên-trái, kích thước cố định theo px */}
+            {lotThemeResult.legend.length > 0 && (
+              <g
+                pointerEvents="none"
+                transform={`translate(${viewBox.x + 10 * unitsPerPx.x}, ${
+                  viewBox.y + 10 * unitsPerPx.y
+                })`}
+              >
+                {(() => {
+                  const rowH = 18 * unitsPerPx.y;
+                  const sw = 12 * unitsPerPx.x;
+                  const pad = 6 * unitsPerPx.x;
+                  const rows = lotThemeResult.legend.map(
+                    (e) => `${e.label} (${e.count})`
+                  );
+                  const title = THEME_ATTRIBUTES[lotTheme.attribute];
+                  const textW =
+                    Math.max(title.length, ...rows.map((r) => r.length + 3)) *
+                    (FONT_UNIT * 0.6);
+                  return (
+                    <>
+                      <rect
+                        x={0}
+                        y={0}
+                        width={textW + pad * 2}
+                        height={rowH * (rows.length + 1) + pad}
+                        rx={4 * unitsPerPx.x}
+                        ry={4 * unitsPerPx.y}
+                        fill="#ffffff"
+                        opacity={0.9}
+                        stroke="#000000"
+                        strokeOpacity={0.2}
+                        vectorEffect="non-scaling-stroke"
+                      />
+                      <text
+                        x={pad}
+                        y={rowH - 4 * unitsPerPx.y}
+                        fontSize={FONT_UNIT}
+                        fontWeight="bold"
+                        fill="#111827"
+                      >
+                        {title}
+                      </text>
+                      {lotThemeResult.legend.map((e, i) => (
+                        <g key={`lg-${e.key}`}>
+                          <rect
+                            x={pad}
+                            y={rowH * (i + 1) + 2 * unitsPerPx.y}
+                            width={sw}
+                            height={12 * unitsPerPx.y}
+                            fill={e.color}
+                            stroke="#374151"
+                            strokeWidth={0.5}
+                            vectorEffect="non-scaling-stroke"
+                          />
+                          <text
+                            x={pad + sw + 6 * unitsPerPx.x}
+                            y={rowH * (i + 2) - 4 * unitsPerPx.y}
+                            fontSize={FONT_UNIT}
+                            fill="#111827"
+                          >
+                            {rows[i]}
+                          </text>
+                        </g>
+                      ))}
+                    </>
+                  );
+                })()}
+              </g>
+            )}
           </svg>
         </div>
 
         <section className="grid md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-3 xl:gap-5">
+          {(() => {
+            const t = vertexTableTarget();
+            if (!t) return null;
+            const cell = (i, axis) => (
+              <input
+                key={`${t.kind}-${t.index}-${i}-${axis}-${t.pts[i][axis]}`}
+                type="number"
+                defaultValue={t.pts[i][axis]}
+                onBlur={(e) => vtSetCoord(t, i, axis, e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") e.currentTarget.blur(); // commit qua onBlur
+                }}
+                className="border rounded px-1 py-0.5 w-20 font-mono"
+              />
+            );
+            return (
+              <div className="bg-white rounded-xl shadow p-2">
+                <h2 className="text-xs font-semibold mb-1">
+                  Vertex table — {t.name}
+                </h2>
+                <table className="text-xs w-full">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left">#</th>
+                      <th className="text-left">X</th>
+                      <th className="text-left">Y</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {t.pts.map((p, i) => (
+                      <tr key={i}>
+                        <td>{i + 1}</td>
+                        <td>{cell(i, 0)}</td>
+                        <td>{cell(i, 1)}</td>
+                        <td className="whitespace-nowrap">
+                          <button
+                            onClick={() => vtMove(t, i, -1)}
+                            className="px-1 rounded hover:bg-gray-200"
+                            title="Lên"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => vtMove(t, i, 1)}
+                            className="px-1 rounded hover:bg-gray-200"
+                            title="Xuống"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            onClick={() => vtInsertAfter(t, i)}
+                            className="px-1 rounded hover:bg-gray-200"
+                            title="Chèn đỉnh giữa đỉnh này và đỉnh kế"
+                          >
+                            ＋
+                          </button>
+                          <button
+                            onClick={() => vtRemove(t, i)}
+                            className="px-1 rounded hover:bg-gray-200"
+                            title="Xoá đỉnh"
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <textarea
+                  value={vtPaste}
+                  onChange={(e) => setVtPaste(e.target.value)}
+                  rows={3}
+                  className="mt-1 border rounded px-1 py-0.5 w-full font-mono text-xs"
+                  placeholder={"Dán từ Excel: X<tab>Y mỗi dòng"}
+                />
+                <div className="flex items-center gap-2 text-xs">
+                  <button
+                    onClick={() => vtApplyPaste(t)}
+                    className="px-2 py-0.5 rounded bg-gray-800 text-white hover:bg-gray-700"
+                  >
+                    Replace vertices
+                  </button>
+                  {vtMessage && (
+                    <span className="text-red-700">{vtMessage}</span>
+                  )}
+                </div>
+              </div>
+            );
+          })()}
+          {(() => {
+            const li = selectedLotIndex();
+            if (li < 0) return null;
+            const l = lots[li];
+            const area = shoelaceArea(l.polygon);
+            const custom = l.custom_fields || {};
+            return (
+              <div className="bg-white rounded-xl shadow p-2 text-xs space-y-1">
+                <h2 className="font-semibold mb-1">Lot properties</h2>
+                <label className="flex items-center gap-1">
+                  <span className="w-20">lot_id</span>
+                  <input
+                    key={`lotid-${li}-${l.lot_id}`}
+                    defaultValue={l.lot_id}
+                    onBlur={(e) => renameLot(li, e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") e.currentTarget.blur();
+                    }}
+                    className={`border rounded px-1 py-0.5 w-32 ${
+                      lotIdDraftError ? "border-red-500" : ""
+                    }`}
+                  />
+                </label>
+                {lotIdDraftError && (
+                  <div className="text-red-700">{lotIdDraftError}</div>
+                )}
+                <label className="flex items-center gap-1">
+                  <span className="w-20">Land use</span>
+                  <select
+                    value={l.land_use ?? "residential"}
+                    onChange={(e) =>
+                      updateLot(li, { land_use: e.target.value })
+                    }
+                    className="border rounded px-1 py-0.5"
+                  >
+                    {Object.entries(LOT_LAND_USES).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  <span className="w-20">Price / m²</span>
+                  <input
+                    key={`price-${li}-${l.price_per_m2}`}
+                    type="number"
+                    min={0}
+                    defaultValue={l.price_per_m2 ?? ""}
+                    onBlur={(e) => {
+                      const raw = e.target.value.trim();
+                      const v = raw === "" ? null : Number(raw);
+                      if (v !== null && !(v >= 0)) return;
+                      if (v !== (l.price_per_m2 ?? null))
+                        updateLot(li, { price_per_m2: v });
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") e.currentTarget.blur();
+                    }}
+                    className="border rounded px-1 py-0.5 w-28"
+                  />
+                  {l.price_per_m2 != null && (
+                    <span className="text-gray-600">
+                      = {(l.price_per_m2 * area).toLocaleString()}
+                    </span>
+                  )}
+                </label>
+                <label className="flex items-center gap-1">
+                  <span className="w-20">Status</span>
+                  <select
+                    value={l.status ?? "available"}
+                    onChange={(e) => updateLot(li, { status: e.target.value })}
+                    className="border rounded px-1 py-0.5"
+                  >
+                    {Object.entries(LOT_STATUSES).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="font-medium pt-1">Custom fields</div>
+                {Object.entries(custom).map(([k, v]) => (
+                  <div key={k} className="flex items-center gap-1">
+                    <span className="w-20 truncate font-mono" title={k}>
+                      {k}
+                    </span>
+                    <input
+                      key={`cf-${li}-${k}-${v}`}
+                      defaultValue={v}
+                      onBlur={(e) => setLotCustomField(li, k, e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                      }}
+                      className="border rounded px-1 py-0.5 w-32"
+                    />
+                    <button
+                      onClick={() => removeLotCustomField(li, k)}
+                      className="px-1 rounded hover:bg-gray-200"
+                      title="Xoá field"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <div className="flex items-center gap-1">
+                  <input
+                    value={newFieldKey}
+                    onChange={(e) => setNewFieldKey(e.target.value)}
+                    placeholder="field name"
+                    className="border rounded px-1 py-0.5 w-28"
+                  />
+                  <button
+                    onClick={() => {
+                      const k = newFieldKey.trim();
+                      if (!k || k in custom) return;
+                      setLotCustomField(li, k, "");
+                      setNewFieldKey("");
+                    }}
+                    className="px-2 py-0.5 rounded bg-gray-800 text-white hover:bg-gray-700"
+                  >
+                    + Field
+                  </button>
+                </div>
+              </div>
+            );
+          })()}
           <div className="bg-white rounded-xl shadow p-2">
             <h2 className="text-xs font-semibold mb-1">Boundary vertices</h2>
             <div className="text-xs text-gray-600">
@@ -2936,11 +10465,87 @@ export default function LandSubdivisionApp() {
           <div className="bg-white rounded-xl shadow p-2">
             <h2 className="text-xs font-semibold mb-1">Internal roads</h2>
             <ol className="text-xs mt-2 max-h-48 overflow-auto space-y-2">
-              {internalRoads.map((r) => (
+              {internalRoads.map((r, idx) => (
                 <li key={r.road_id}>
                   <div className="font-medium">
                     {r.road_id} • w={r.width} • {r.polygon.length} pts
+                    {r.centerline && ` • tim ${r.centerline.length} pts`}
                   </div>
+                  {r.centerline && (
+                    <div className="flex flex-wrap items-center gap-1 mt-1">
+                      <span>w</span>
+                      {/* nháp trong ô nhập, commit khi blur / Enter → 1 bước undo */}
+                      <input
+                        key={`clw-${r.road_id}-${r.width}`}
+                        type="number"
+                        defaultValue={r.width}
+                        min={0}
+                        onBlur={(e) => {
+                          const w = Number(e.target.value);
+                          if (!(w > 0)) e.target.value = r.width;
+                          else if (w !== r.width)
+                            updateCenterlineRoad(idx, { width: w });
+                        }}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") e.currentTarget.blur();
+                        }}
+                        className="border rounded px-1 py-0.5 w-14"
+                      />
+                      <select
+                        value={r.join || "miter"}
+                        onChange={(e) =>
+                          updateCenterlineRoad(idx, { join: e.target.value })
+                        }
+                        className="border rounded px-1 py-0.5"
+                        title="Join"
+                      >
+                        <option value="miter">Miter</option>
+                        <option value="round">Round</option>
+                        <option value="chamfer">Chamfer</option>
+                      </select>
+                      <select
+                        value={r.cap_start || "square"}
+                        onChange={(e) =>
+                          updateCenterlineRoad(idx, {
+                            cap_start: e.target.value,
+                          })
+                        }
+                        className="border rounded px-1 py-0.5"
+                        title="Cap start"
+                      >
+                        <option value="square">Square</option>
+                        <option value="culdesac">Cul-de-sac</option>
+                      </select>
+                      <select
+                        value={r.cap_end || "square"}
+                        onChange={(e) =>
+                          updateCenterlineRoad(idx, { cap_end: e.target.value })
+                        }
+                        className="border rounded px-1 py-0.5"
+                        title="Cap end"
+                      >
+                        <option value="square">Square</option>
+                        <option value="culdesac">Cul-de-sac</option>
+                      </select>
+                      <span>R</span>
+                      <input
+                        key={`clr-${r.road_id}-${r.bulb_radius ?? 0}`}
+                        type="number"
+                        defaultValue={r.bulb_radius ?? 0}
+                        min={0}
+                        onBlur={(e) => {
+                          const v = Number(e.target.value) || 0;
+                          if (v !== (r.bulb_radius ?? 0))
+                            updateCenterlineRoad(idx, { bulb_radius: v });
+                        }}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") e.currentTarget.blur();
+                        }}
+                        className="border rounded px-1 py-0.5 w-14"
+                        title="Cul-de-sac bulb radius"
+                      />
+                    </div>
+                  )}
                 </li>
               ))}
             </ol>
@@ -2949,32 +10554,258 @@ export default function LandSubdivisionApp() {
           <div className="bg-white rounded-xl shadow p-2">
             <h2 className="text-xs font-semibold mb-1">Lots</h2>
             <ol className="text-xs mt-2 max-h-48 overflow-auto space-y-2">
-              {lots.map((l) => {
-                const ctx = {
-                  boundary,
-                  boundaryClosed,
-                  publicRoads,
-                  internalRoads,
-                };
-                const tolUnits = 3 * __avgUP;
+              {lots.map((l, idx) => {
+                const env = lotEnvelopes[idx];
+                const fr = lotFrontageInfo[idx];
                 return (
                   <li key={l.lot_id}>
                     <div className="font-medium">
                       {l.lot_id} • area={shoelaceArea(l.polygon).toFixed(1)} •
-                      front=
-                      {computeFrontRoadForLot(l.polygon, ctx, tolUnits) ?? "-"}
+                      front={fr.primary ?? "-"}
                     </div>
+                    {fr.frontages.length > 0 ? (
+                      <div className="text-gray-600">
+                        frontage{" "}
+                        {fr.frontages
+                          .map((f) => `${f.road_id} ${f.length.toFixed(2)} m`)
+                          .join(", ")}
+                      </div>
+                    ) : (
+                      <div className="text-red-700">⚠ landlocked</div>
+                    )}
+                    {env && (
+                      <div
+                        className={env.flag ? "text-red-700" : "text-gray-600"}
+                      >
+                        envelope={env.area} m² • coverage=
+                        {(env.coverage * 100).toFixed(1)}%
+                        {env.flag === "collapsed" && " • ⚠ triệt tiêu"}
+                        {env.flag === "small" && " • ⚠ < tối thiểu"}
+                      </div>
+                    )}
                   </li>
                 );
               })}
             </ol>
           </div>
+
+          <div className="bg-white rounded-xl shadow p-2 md:col-span-2 xl:col-span-3 2xl:col-span-4">
+            <div className="flex flex-wrap items-center gap-2 text-xs mb-1">
+              <h2 className="font-semibold">Lot schedule</h2>
+              <input
+                value={scheduleFilter}
+                onChange={(e) => setScheduleFilter(e.target.value)}
+                placeholder="Filter: text, area>=150, front_road=R1"
+                className="border rounded px-1.5 py-0.5 h-7 w-64"
+                title="Token cách nhau bằng khoảng trắng; col>=n / col<n / col=x lọc theo cột, còn lại tìm trong mọi cột"
+              />
+              <span className="text-gray-500">
+                {scheduleView.rows.length}/{lotSchedule.rows.length} lots
+              </span>
+              <button
+                onClick={() => exportSchedule("csv")}
+                className="px-1.5 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-500"
+                title="Xuất bảng đang hiển thị (theo lọc + sắp xếp) ra CSV"
+              >
+                ⬇︎ CSV
+              </button>
+              <button
+                onClick={() => exportSchedule("xlsx")}
+                className="px-1.5 py-0.5 rounded bg-emerald-600 text-white hover:bg-emerald-500"
+                title="Xuất bảng đang hiển thị (theo lọc + sắp xếp) ra Excel"
+              >
+                ⬇︎ XLSX
+              </button>
+            </div>
+            <div className="max-h-64 overflow-auto">
+              <table className="text-xs w-full">
+                <thead className="sticky top-0 bg-white">
+                  <tr className="text-gray-500">
+                    {lotSchedule.columns.map((c) => (
+                      <th
+                        key={c.key}
+                        onClick={() => toggleScheduleSort(c.key)}
+                        className={`px-1 cursor-pointer select-none whitespace-nowrap ${
+                          c.numeric ? "text-right" : "text-left"
+                        }`}
+                      >
+                        {c.label}
+                        {scheduleSort.key === c.key &&
+                          (scheduleSort.dir > 0 ? " ▲" : " ▼")}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {scheduleView.rows.map((r) => (
+                    <tr
+                      key={r.index}
+                      onClick={() => selectScheduleRow(r.index)}
+                      className={`cursor-pointer hover:bg-blue-50 ${
+                        selection?.kind === "lot" && selection.index === r.index
+                          ? "bg-blue-100"
+                          : ""
+                      }`}
+                    >
+                      {lotSchedule.columns.map((c) => (
+                        <td
+                          key={c.key}
+                          className={`px-1 ${
+                            c.numeric ? "text-right font-mono" : ""
+                          }`}
+                        >
+                          {r[c.key] == null
+                            ? "–"
+                            : c.numeric
+                            ? Number(r[c.key]).toFixed(2)
+                            : r[c.key]}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="sticky bottom-0 bg-white font-semibold border-t">
+                  <tr>
+                    {lotSchedule.columns.map((c, i) => (
+                      <td
+                        key={c.key}
+                        className={`px-1 ${
+                          c.numeric ? "text-right font-mono" : ""
+                        }`}
+                      >
+                        {i === 0
+                          ? `Total (${scheduleView.totals.count})`
+                          : c.key === "area"
+                          ? `${scheduleView.totals.area.toFixed(2)}${
+                              scheduleView.totals.share != null
+                                ? ` (${(
+                                    scheduleView.totals.share * 100
+                                  ).toFixed(1)}% boundary)`
+                                : ""
+                            }`
+                          : c.key === "perimeter" || c.key === "frontage"
+                          ? scheduleView.totals[c.key].toFixed(2)
+                          : ""}
+                      </td>
+                    ))}
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          </div>
+        </section>
+
+        <section className="bg-white rounded-xl shadow p-2 text-xs">
+          <div className="flex flex-wrap items-center gap-2">
+            <h2 className="font-semibold">Projects</h2>
+            <span>Name</span>
+            <input
+              value={projectName}
+              onChange={(e) => setProjectName(e.target.value)}
+              onBlur={requestAutosave}
+              placeholder={landId}
+              className="border rounded px-1 py-0.5 h-7 w-40"
+              title="Project name"
+            />
+            <label
+              className="flex items-center gap-1"
+              title="Tự lưu mỗi lần chỉnh sửa"
+            >
+              <input
+                type="checkbox"
+                checked={autosave}
+                onChange={(e) => setAutosave(e.target.checked)}
+              />
+              Autosave
+            </label>
+            <button
+              onClick={saveCurrentProject}
+              className="px-1.5 py-0.5 rounded bg-gray-800 text-white hover:bg-gray-700"
+            >
+              Save now
+            </button>
+            {saveStatus && (
+              <span
+                className={saveStatus.ok ? "text-gray-500" : "text-red-600"}
+              >
+                {saveStatus.ok
+                  ? `Saved ${new Date(saveStatus.at).toLocaleTimeString()}`
+                  : `Save failed: ${saveStatus.message}`}
+              </span>
+            )}
+          </div>
+          <ol className="mt-2 max-h-48 overflow-auto divide-y">
+            {projects.map((p) => (
+              <li
+                key={p.landId}
+                className={`flex flex-wrap items-center gap-2 py-1 ${
+                  p.landId === landId ? "font-medium" : ""
+                }`}
+              >
+                {renamingId === p.landId ? (
+                  <input
+                    autoFocus
+                    value={renameText}
+                    onChange={(e) => setRenameText(e.target.value)}
+                    onBlur={() => onRenameProject(p.landId, renameText)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter")
+                        onRenameProject(p.landId, renameText);
+                      if (e.key === "Escape") setRenamingId(null);
+                    }}
+                    className="border rounded px-1 py-0.5 h-6 w-40"
+                  />
+                ) : (
+                  <span className="w-40 truncate">{p.name || p.landId}</span>
+                )}
+                <span className="font-mono text-gray-500">{p.landId}</span>
+                <span className="text-gray-500">
+                  {new Date(p.updatedAt).toLocaleString()}
+                </span>
+                <span className="ml-auto flex gap-1">
+                  <button
+                    onClick={() => onOpenProject(p.landId)}
+                    className="px-1.5 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-500"
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => onDuplicateProject(p.landId)}
+                    className="px-1.5 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRenamingId(p.landId);
+                      setRenameText(p.name || p.landId);
+                    }}
+                    className="px-1.5 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => onDeleteProject(p.landId)}
+                    className="px-1.5 py-0.5 rounded bg-red-600 text-white hover:bg-red-500"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            ))}
+            {!projects.length && (
+              <li className="py-1 text-gray-500">
+                Chưa có project nào được lưu.
+              </li>
+            )}
+          </ol>
         </section>
 
         <footer className="text-[11px] text-gray-500 pt-1">
           Tips: Chuyển sang <b>Select/Edit</b> để chọn & kéo vertex/cạnh. Kéo
           cạnh với <b>Shift</b> để “mở rộng” theo pháp tuyến. Phím <b>Delete</b>
-          /<b>Backspace</b> để xoá.
+          /<b>Backspace</b> để xoá. Đỉnh/cạnh chung (màu xanh dương) kéo theo
+          mọi polygon kề; giữ <b>Alt</b> khi kéo để tách riêng 1 polygon.
         </footer>
       </div>
     </div>